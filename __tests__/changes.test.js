@@ -0,0 +1,122 @@
+import { execSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import * as github from '@actions/github';
+
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-test-'));
+
+let filterAffectedRepos;
+
+const files = {
+  '.gitignore': 'dist/\n',
+  'sync.yml': 'user/repo: []\n',
+  'workflows/ci.yml': 'name: CI\n',
+  LICENSE: 'MIT\n',
+  'templates/base.njk': 'base\n',
+  'templates/page.njk': '{% include "templates/base.njk" %}\n',
+  'templates/dynamic.njk': '{% include name %}\n',
+};
+
+beforeAll(async () => {
+  process.env.INPUT_GH_PAT = 'token';
+  process.env.GITHUB_REPOSITORY = 'user/source';
+
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+  execSync('git init -q && git add -A && git -c user.name=test -c user.email=test@test commit -q -m init', {
+    cwd: dir,
+  });
+
+  // Not committed: a generated file and a git-ignored directory
+  await fs.outputFile(path.join(dir, 'generated/docs.md'), 'docs\n');
+  await fs.outputFile(path.join(dir, 'dist/index.js'), 'code\n');
+
+  process.chdir(dir);
+  ({ filterAffectedRepos } = await import('../src/changes.js'));
+});
+
+afterAll(async () => {
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+const target = (name, ...sources) => ({
+  repo: { uniqueName: `github.com/user/${name}@default` },
+  files: sources.map((source) => (typeof source === 'string' ? { source } : source)),
+});
+
+const push = (...changed) => {
+  github.context.payload = { commits: [{ added: [], modified: changed, removed: [] }] };
+};
+
+const affectedNames = async (repos, configFiles = ['sync.yml']) =>
+  (await filterAffectedRepos(repos, configFiles)).map((item) => item.repo.uniqueName);
+
+describe('filterAffectedRepos', () => {
+  const workflows = target('workflows', 'workflows/');
+  const license = target('license', 'LICENSE');
+
+  test('only returns the targets with changed sources', async () => {
+    push('workflows/ci.yml');
+
+    expect(await affectedNames([workflows, license])).toEqual(['github.com/user/workflows@default']);
+  });
+
+  test('returns all targets when the config changed', async () => {
+    push('sync.yml');
+
+    expect(await affectedNames([workflows, license])).toHaveLength(2);
+  });
+
+  test('returns all targets without commits', async () => {
+    github.context.payload = {};
+
+    expect(await affectedNames([workflows, license])).toHaveLength(2);
+  });
+
+  test('returns the targets of templates referencing a changed template', async () => {
+    push('templates/base.njk');
+
+    const page = target('page', { source: 'templates/page.njk', template: true });
+    const base = target('base', { source: 'templates/base.njk', template: true });
+
+    expect(await affectedNames([page, base, license])).toEqual([
+      'github.com/user/page@default',
+      'github.com/user/base@default',
+    ]);
+  });
+
+  test('returns the targets of templates referencing a template by a variable', async () => {
+    push('workflows/ci.yml');
+
+    const dynamic = target('dynamic', { source: 'templates/dynamic.njk', template: true });
+
+    expect(await affectedNames([dynamic, license])).toEqual(['github.com/user/dynamic@default']);
+  });
+
+  test('returns the targets of sources with files which are not committed', async () => {
+    push('workflows/ci.yml');
+
+    const generated = target('generated', 'generated/docs.md');
+    const ignored = target('ignored', 'dist/');
+
+    expect(await affectedNames([generated, ignored, license])).toEqual([
+      'github.com/user/generated@default',
+      'github.com/user/ignored@default',
+    ]);
+  });
+
+  test('returns the targets of sources with uncommitted changes', async () => {
+    push('workflows/ci.yml');
+    await fs.outputFile(path.join(dir, 'LICENSE'), 'Apache-2.0\n');
+
+    try {
+      expect(await affectedNames([license])).toEqual(['github.com/user/license@default']);
+    } finally {
+      await fs.outputFile(path.join(dir, 'LICENSE'), files.LICENSE);
+    }
+  });
+});
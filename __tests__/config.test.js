@@ -0,0 +1,54 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+const configPath = path.join(dir, 'sync.yml');
+
+let parseConfig;
+
+beforeAll(async () => {
+  process.env.INPUT_GH_PAT = 'token';
+  process.env.INPUT_CONFIG_PATH = configPath;
+  process.env.GITHUB_REPOSITORY = 'user/source';
+  delete process.env.INPUT_MANIFEST_PATH;
+
+  ({ parseConfig } = await import('../src/config.js'));
+});
+
+afterAll(async () => {
+  await fs.remove(dir);
+});
+
+const parse = async (content) => {
+  await fs.writeFile(configPath, content);
+  return parseConfig();
+};
+
+describe('parseConfig', () => {
+  test('parses the files of a repository', async () => {
+    const { repos } = await parse('user/repo:\n  - source: workflows/ci.yml\n    dest: .github/workflows/ci.yml\n');
+
+    expect(repos).toHaveLength(1);
+    expect(repos[0].repo.uniqueName).toEqual('github.com/user/repo@default');
+    expect(repos[0].files[0]).toMatchObject({ source: 'workflows/ci.yml', dest: '.github/workflows/ci.yml' });
+  });
+
+  test('accepts onManualEdit overwrite without MANIFEST_PATH', async () => {
+    const { repos } = await parse('user/repo:\n  - source: ci.yml\n    onManualEdit: overwrite\n');
+
+    expect(repos[0].files[0].onManualEdit).toEqual('overwrite');
+  });
+
+  test.each(['skip', 'warn'])('rejects onManualEdit %s without MANIFEST_PATH', async (onManualEdit) => {
+    await expect(parse(`user/repo:\n  - source: ci.yml\n    onManualEdit: ${onManualEdit}\n`)).rejects.toThrow(
+      `The 'onManualEdit' option of ci.yml needs MANIFEST_PATH to be set`
+    );
+  });
+
+  test('rejects the three-way strategy without MANIFEST_PATH', async () => {
+    await expect(parse('user/repo:\n  - source: ci.yml\n    strategy: three-way\n')).rejects.toThrow(
+      `The 'three-way' strategy of ci.yml needs MANIFEST_PATH to be set`
+    );
+  });
+});
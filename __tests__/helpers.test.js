@@ -0,0 +1,27 @@
+import { matchesAnyPath } from '../src/helpers.js';
+
+describe('matchesAnyPath', () => {
+  test('matches file names in any directory', () => {
+    expect(matchesAnyPath('a/b/ci.yml', ['ci.yml'])).toBe(true);
+    expect(matchesAnyPath('a/b/ci.yml', ['*.yml'])).toBe(true);
+    expect(matchesAnyPath('a/b/ci.yml', ['*.json'])).toBe(false);
+  });
+
+  test('matches patterns with a slash relative to the root', () => {
+    expect(matchesAnyPath('a/b/ci.yml', ['a/b/*.yml'])).toBe(true);
+    expect(matchesAnyPath('a/b/ci.yml', ['b/*.yml'])).toBe(false);
+  });
+
+  test('matches all files in a matching directory', () => {
+    expect(matchesAnyPath('subdir/a.yml', ['subdir'])).toBe(true);
+    expect(matchesAnyPath('subdir/nested/a.yml', ['subdir'])).toBe(true);
+    expect(matchesAnyPath('other/subdir/a.yml', ['subdir'])).toBe(true);
+    expect(matchesAnyPath('subdir/nested/a.yml', ['subdir/nested'])).toBe(true);
+    expect(matchesAnyPath('subdirectory/a.yml', ['subdir'])).toBe(false);
+  });
+
+  test('only matches directories with a trailing slash', () => {
+    expect(matchesAnyPath('subdir/a.yml', ['subdir/'])).toBe(true);
+    expect(matchesAnyPath('subdir', ['subdir/'])).toBe(false);
+  });
+});
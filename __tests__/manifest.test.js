@@ -0,0 +1,56 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { readManifest, updateManifest, hashFile } from '../src/manifest.js';
+
+const MANIFEST_PATH = '.github/repo-file-sync.lock';
+
+describe('manifest', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const sync = async (files) => updateManifest(dir, MANIFEST_PATH, files, { repository: 'user/source', sha: 'abc' });
+
+  test('records the hash of written files', async () => {
+    await fs.outputFile(path.join(dir, 'a.yml'), 'a: 1\n');
+    await sync([{ source: 'a.yml', dest: 'a.yml', written: true }]);
+
+    const manifest = await readManifest(path.join(dir, MANIFEST_PATH));
+    expect(manifest.files['a.yml']).toEqual({
+      source: 'a.yml',
+      repository: 'user/source',
+      sha: 'abc',
+      sha256: await hashFile(path.join(dir, 'a.yml')),
+    });
+  });
+
+  test('only hashes the block of files synced with block', async () => {
+    const block = { begin: '# BEGIN', end: '# END', position: 'bottom' };
+    const filePath = path.join(dir, '.gitignore');
+
+    await fs.outputFile(filePath, 'local\n# BEGIN\ndist\n# END\n');
+    await sync([{ source: 'gitignore', dest: '.gitignore', written: true, block }]);
+
+    const { sha256 } = (await readManifest(path.join(dir, MANIFEST_PATH))).files['.gitignore'];
+
+    await fs.outputFile(filePath, 'local\nchanged\n# BEGIN\ndist\n# END\n');
+    expect(await hashFile(filePath, { begin: '# BEGIN', end: '# END' })).toEqual(sha256);
+
+    await fs.outputFile(filePath, 'local\n# BEGIN\nchanged\n# END\n');
+    expect(await hashFile(filePath, { begin: '# BEGIN', end: '# END' })).not.toEqual(sha256);
+  });
+
+  test('does not create an empty manifest', async () => {
+    await sync([]);
+
+    expect(fs.existsSync(path.join(dir, MANIFEST_PATH))).toBe(false);
+  });
+});
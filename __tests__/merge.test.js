@@ -0,0 +1,122 @@
+import { parse } from 'jsonc-parser';
+
+import { mergeContent, extractBlock, replaceBlock } from '../src/merge.js';
+
+const options = { format: 'json', arrays: 'replace', precedence: 'source' };
+
+describe('mergeContent', () => {
+  test('merges the source keys into the target', () => {
+    const merged = mergeContent('{\n  "a": 1,\n  "b": { "c": 1 }\n}\n', '{ "b": { "d": 2 }, "e": 3 }', options);
+
+    expect(JSON.parse(merged)).toEqual({ a: 1, b: { c: 1, d: 2 }, e: 3 });
+  });
+
+  test('keeps the target value with precedence target', () => {
+    const merged = mergeContent('{ "a": 1 }', '{ "a": 2 }', { ...options, precedence: 'target' });
+
+    expect(JSON.parse(merged)).toEqual({ a: 1 });
+  });
+
+  test('only adds array items which are not in the target yet', () => {
+    const merged = mergeContent('{ "extends": ["a"] }', '{ "extends": ["a", "b"] }', { ...options, arrays: 'unique' });
+
+    expect(JSON.parse(merged)).toEqual({ extends: ['a', 'b'] });
+  });
+
+  test.each(['replace', 'unique'])("doesn't change the result when merging twice with arrays %s", (arrays) => {
+    const source = '{ "extends": ["b"], "compilerOptions": { "strict": true } }';
+
+    const once = mergeContent('{ "extends": ["a"] }', source, { ...options, arrays });
+    const twice = mergeContent(once, source, { ...options, arrays });
+
+    expect(twice).toEqual(once);
+  });
+
+  test('parses JSON with comments and trailing commas', () => {
+    const target = '{\n  // Compiler options\n  "compilerOptions": {\n    "strict": false, /* for now */\n  },\n}\n';
+
+    const merged = mergeContent(target, '{ "compilerOptions": { "strict": true } }', options);
+
+    expect(merged).toEqual(
+      '{\n  // Compiler options\n  "compilerOptions": {\n    "strict": true, /* for now */\n  },\n}\n'
+    );
+  });
+
+  test('keeps the comments and formatting of JSON files', () => {
+    const target =
+      '{\n\t// Shared config\n\t"extends": ["a"], // inline\n\t"compilerOptions": { "strict": false }\n}\n';
+    const source = '{ "extends": ["b"], "compilerOptions": { "strict": true }, "include": ["src"] }';
+
+    const merged = mergeContent(target, source, { ...options, arrays: 'unique' });
+
+    expect(merged).toContain('\t// Shared config\n');
+    expect(merged).toContain('// inline');
+    expect(parse(merged)).toEqual({ extends: ['a', 'b'], compilerOptions: { strict: true }, include: ['src'] });
+    expect(mergeContent(merged, source, { ...options, arrays: 'unique' })).toEqual(merged);
+  });
+
+  test('keeps the comments of YAML files', () => {
+    const target =
+      '# Dependabot\nversion: 2\nupdates:\n  # npm\n  - package-ecosystem: npm # inline\n    directory: /\n';
+    const source = 'updates:\n  - package-ecosystem: github-actions\n    directory: /\n';
+    const yamlOptions = { ...options, format: 'yaml', arrays: 'unique' };
+
+    const merged = mergeContent(target, source, yamlOptions);
+
+    expect(merged).toEqual(
+      '# Dependabot\nversion: 2\nupdates:\n  # npm\n  - package-ecosystem: npm # inline\n    directory: /\n' +
+        '  - package-ecosystem: github-actions\n    directory: /\n'
+    );
+    expect(mergeContent(merged, source, yamlOptions)).toEqual(merged);
+  });
+
+  test('throws on invalid JSON', () => {
+    expect(() => mergeContent('{ "a": ', '{}', options)).toThrow('Unable to parse destination file as json');
+  });
+
+  test('merges YAML files', () => {
+    const merged = mergeContent('a: 1\nlist:\n  - x\n', 'list:\n  - x\n  - z\n', {
+      ...options,
+      format: 'yaml',
+      arrays: 'unique',
+    });
+
+    expect(merged).toEqual('a: 1\nlist:\n  - x\n  - z\n');
+  });
+
+  test('returns the source if the target is empty', () => {
+    expect(mergeContent('', '{ "a": 1 }', options)).toEqual('{ "a": 1 }');
+  });
+});
+
+describe('replaceBlock', () => {
+  const markers = { begin: '# BEGIN', end: '# END', position: 'bottom' };
+
+  test('replaces the lines between the markers', () => {
+    const target = 'before\n# BEGIN\nold\n# END\nafter\n';
+
+    expect(replaceBlock(target, 'new\n', markers)).toEqual('before\n# BEGIN\nnew\n# END\nafter\n');
+  });
+
+  test('adds the block at the bottom if the markers are missing', () => {
+    expect(replaceBlock('local\n', 'new\n', markers)).toEqual('local\n\n# BEGIN\nnew\n# END\n');
+  });
+
+  test("doesn't change the result when replacing twice", () => {
+    const once = replaceBlock('local\n', 'new\n', markers);
+
+    expect(replaceBlock(once, 'new\n', markers)).toEqual(once);
+  });
+});
+
+describe('extractBlock', () => {
+  const markers = { begin: '# BEGIN', end: '# END' };
+
+  test('returns the lines between the markers', () => {
+    expect(extractBlock('before\n# BEGIN\na\nb\n# END\nafter\n', markers)).toEqual('a\nb');
+  });
+
+  test('returns undefined without markers', () => {
+    expect(extractBlock('before\n# BEGIN\na\n', markers)).toBeUndefined();
+  });
+});
@@ -0,0 +1,121 @@
+import { validateConfig } from '../src/schema.js';
+
+const messages = (content) => validateConfig(content).map((error) => error.message);
+
+describe('validateConfig', () => {
+  test('accepts a valid config', () => {
+    const config = `
+user/repo:
+  - source: workflows/ci.yml
+    dest: .github/workflows/ci.yml
+group:
+  repos: |
+    user/repo1
+    user/repo2@main
+  files:
+    - LICENSE
+`;
+
+    expect(messages(config)).toEqual([]);
+  });
+
+  test('reports unknown keys with a suggestion', () => {
+    const config = `
+user/repo:
+  - source: workflows/
+    exlude: ci.yml
+`;
+
+    expect(validateConfig(config)).toEqual([
+      { line: 4, column: 5, message: 'Unknown key "exlude" in user/repo[0], did you mean "exclude"?' },
+    ]);
+  });
+
+  test('reports a missing source', () => {
+    expect(messages('user/repo:\n  - dest: a\n')).toEqual(['user/repo[0] is missing the required key "source"']);
+  });
+
+  test('resolves aliases', () => {
+    const config = `
+group:
+  - repos: user/repo1
+    files: &files
+      - source: workflows/
+        dest: .github/workflows/
+  - repos: user/repo2
+    files: *files
+`;
+
+    expect(messages(config)).toEqual([]);
+  });
+
+  test('validates the node an alias refers to', () => {
+    const config = `
+group:
+  - repos: user/repo1
+    files: &files
+      - dest: a
+  - repos: user/repo2
+    files: *files
+`;
+
+    expect(messages(config)).toEqual([
+      'group[0].files[0] is missing the required key "source"',
+      'group[1].files[0] is missing the required key "source"',
+    ]);
+  });
+
+  test('resolves merge keys', () => {
+    const config = `
+group:
+  - repos: user/repo1
+    files:
+      - &workflow
+        source: workflows/ci.yml
+        dest: .github/workflows/ci.yml
+  - repos: user/repo2
+    files:
+      - <<: *workflow
+        template: true
+      - <<: [*workflow]
+        dest: .github/workflows/test.yml
+`;
+
+    expect(messages(config)).toEqual([]);
+  });
+
+  test('reports unknown keys next to merge keys', () => {
+    const config = `
+group:
+  repos: user/repo
+  files:
+    - &workflow
+      source: workflows/ci.yml
+    - <<: *workflow
+      exlude: a
+`;
+
+    expect(messages(config)).toEqual(['Unknown key "exlude" in group.files[1], did you mean "exclude"?']);
+  });
+
+  test('reports onManualEdit together with merge', () => {
+    expect(messages('user/repo:\n  - source: tsconfig.json\n    merge: json\n    onManualEdit: skip\n')).toEqual([
+      'user/repo[0] can\'t use "onManualEdit: skip" with "merge"',
+    ]);
+  });
+
+  test('accepts the auto-merge method in any case', () => {
+    const config = (method) =>
+      `group:\n  repos: user/repo\n  files:\n    - LICENSE\n  autoMergeMergeMethod: ${method}\n`;
+
+    expect(messages(config('SQUASH'))).toEqual([]);
+    expect(messages(config('squash'))).toEqual([]);
+    expect(messages(config('fast-forward'))).toEqual([
+      'group.autoMergeMergeMethod must be one of: merge, squash, rebase',
+    ]);
+  });
+
+  test('reports YAML syntax errors', () => {
+    expect(messages('user/repo:\n  - source: [a\n')).toHaveLength(1);
+  });
+});
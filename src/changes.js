@@ -0,0 +1,154 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+import fs from 'fs-extra';
+import path from 'path';
+import readfiles from 'node-readfiles';
+
+import { FORCE_SYNC, TEMPLATE_ROOT, TEMPLATE_PARTIALS, TEMPLATE_MODULE } from './config.js';
+import { addTrailingSlash, pathIsDirectory, execCmd } from './helpers.js';
+
+// Matches the template name of `{% include %}`, `{% extends %}`, `{% import %}` and `{% from %}` tags
+const TEMPLATE_REFERENCE_REGEX = /\{%-?\s*(?:include|extends|import|from)\s+([^\s%]+)/g;
+
+// Returns the paths changed by the commits of the triggering push, or undefined if all targets have to be synced
+const getChangedPaths = () => {
+  const { payload } = github.context;
+
+  if (FORCE_SYNC) {
+    core.info('FORCE_SYNC enabled, syncing all target repositories');
+    return undefined;
+  }
+
+  // Events like `workflow_dispatch` or `schedule` don't have any commits
+  if (!payload.commits || payload.commits.length === 0) return undefined;
+
+  if (payload.forced) {
+    core.info('Source repository was force-pushed, syncing all target repositories');
+    return undefined;
+  }
+
+  const changedPaths = new Set();
+  for (const commit of payload.commits) {
+    if (!commit.added && !commit.modified && !commit.removed) return undefined;
+
+    for (const file of [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])]) {
+      changedPaths.add(file);
+    }
+  }
+
+  return [...changedPaths];
+};
+
+const normalizePath = (filePath) => path.normalize(filePath).replace(/\/+$/, '');
+
+// A changed path affects a source if it's the source itself or a file in it
+const isChanged = (source, changedPaths) => {
+  const normalized = normalizePath(source);
+  if (normalized === '.') return changedPaths.length > 0;
+
+  return changedPaths.some(
+    (changedPath) => changedPath === normalized || changedPath.startsWith(addTrailingSlash(normalized))
+  );
+};
+
+// Files which are git-ignored, generated or changed by earlier workflow steps are synced from the workspace,
+// but never show up in the commits of a push
+const hasUncommittedFiles = async (source) => {
+  try {
+    return (await execCmd(`git ls-files --others --modified -- "${source}"`)) !== '';
+  } catch (err) {
+    core.debug(`Unable to list the uncommitted files of ${source}: ${err.message}`);
+    return true;
+  }
+};
+
+// Returns the paths of all templates the template(s) at `source` reference, or undefined if a template
+// references another one by a variable, which can only be resolved when rendering
+const findTemplateReferences = async (source, found = new Set()) => {
+  if (!fs.existsSync(source)) return found;
+
+  const files = (await pathIsDirectory(source))
+    ? (await readfiles(source, { readContents: false, hidden: true })).map((file) => path.join(source, file))
+    : [source];
+
+  const searchPaths = [TEMPLATE_ROOT, TEMPLATE_PARTIALS, '.'].filter((dir) => dir !== undefined);
+
+  for (const file of files) {
+    const content = await fs.promises.readFile(file, 'utf8');
+
+    for (const [, reference] of content.matchAll(TEMPLATE_REFERENCE_REGEX)) {
+      const name = reference.match(/^(["'])(.+)\1$/)?.[2];
+      if (name === undefined) return undefined;
+
+      // Like nunjucks, names starting with ./ or ../ are relative to the template itself
+      const candidates = /^\.\.?\//.test(name)
+        ? [path.join(path.dirname(file), name)]
+        : searchPaths.map((dir) => path.join(dir, name));
+
+      const resolved = candidates.find((candidate) => fs.existsSync(candidate));
+      if (resolved === undefined || found.has(resolved)) continue;
+
+      found.add(resolved);
+      if ((await findTemplateReferences(resolved, found)) === undefined) return undefined;
+    }
+  }
+
+  return found;
+};
+
+// Checks if the sources of a target repository were changed. Templates are also affected by changes
+// to the templates they reference and to the partials directory
+const isAffected = async (files, changedPaths) => {
+  // Each fragment of a composed file is checked like a source of its own
+  const sources = files.flatMap((file) => file.fragments || [file]);
+
+  for (const file of sources) {
+    // Changes to other repositories aren't part of the push, see FORCE_SYNC
+    if (file.delete || file.from) continue;
+
+    if (isChanged(file.source, changedPaths)) return true;
+
+    if (await hasUncommittedFiles(file.source)) {
+      core.debug(`${file.source} contains files which are not committed`);
+      return true;
+    }
+
+    if (file.template) {
+      if (TEMPLATE_PARTIALS !== undefined && isChanged(TEMPLATE_PARTIALS, changedPaths)) return true;
+
+      const references = await findTemplateReferences(file.source);
+      if (references === undefined) return true;
+      if ([...references].some((reference) => isChanged(reference, changedPaths))) return true;
+    }
+  }
+
+  return false;
+};
+
+// Returns the target repos whose sources were changed by the triggering push. Changes to the config itself
+// or the template module can affect every target, so all of them are synced in that case
+const filterAffectedRepos = async (repos, configFiles) => {
+  const changedPaths = getChangedPaths();
+  if (changedPaths === undefined) return repos;
+
+  core.debug(`Changed paths: ${JSON.stringify(changedPaths)}`);
+
+  const globalFiles = TEMPLATE_MODULE === undefined ? configFiles : [...configFiles, TEMPLATE_MODULE];
+  if (globalFiles.some((file) => isChanged(file, changedPaths))) {
+    core.info('Sync config changed, syncing all target repositories');
+    return repos;
+  }
+
+  const affected = [];
+  for (const item of repos) {
+    if (await isAffected(item.files, changedPaths)) {
+      affected.push(item);
+    } else {
+      core.info(`Skipping ${item.repo.uniqueName}, none of its source files changed`);
+    }
+  }
+
+  return affected;
+};
+
+export { filterAffectedRepos };
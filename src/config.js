@@ -4,13 +4,31 @@ import fs from 'fs-extra';
 import path from 'path';
 import { getInput } from 'action-input-parser';
 
+import { isGlob, splitGlob, globFiles } from './helpers.js';
+import { validateConfig } from './schema.js';
+import { MERGE_FORMATS, MERGE_ARRAYS, MERGE_PRECEDENCE, BLOCK_POSITIONS } from './merge.js';
+
 const REPLACE_DEFAULT = true;
 const TEMPLATE_DEFAULT = false;
 const DELETE_ORPHANED_DEFAULT = false;
+const MERGE_ARRAYS_DEFAULT = 'replace';
+const MERGE_PRECEDENCE_DEFAULT = 'source';
+const BLOCK_BEGIN_DEFAULT = '# BEGIN repo-file-sync';
+const BLOCK_END_DEFAULT = '# END repo-file-sync';
+const BLOCK_POSITION_DEFAULT = 'bottom';
+const MODES = ['sync', 'check'];
+const ON_MANUAL_EDIT_DEFAULT = 'overwrite';
+const STRATEGY_DEFAULT = 'replace';
 
 let context;
 
 try {
+  const validateOnly = getInput({
+    key: 'VALIDATE_ONLY',
+    type: 'boolean',
+    default: false,
+  });
+
   let isInstallationToken = false;
   let token = getInput({
     key: 'GH_PAT',
@@ -21,7 +39,8 @@ try {
       key: 'GH_INSTALLATION_TOKEN',
     });
     isInstallationToken = true;
-    if (!token) {
+    // Validating the config doesn't need access to any repository
+    if (!token && !validateOnly) {
       core.setFailed('You must provide either GH_PAT or GH_INSTALLATION_TOKEN');
       process.exit(1);
     }
@@ -29,6 +48,7 @@ try {
 
   context = {
     GITHUB_TOKEN: token,
+    VALIDATE_ONLY: validateOnly,
     GITHUB_REPOSITORY: getInput({
       key: 'GITHUB_REPOSITORY',
       required: true,
@@ -52,6 +72,26 @@ try {
       type: 'array',
       disableable: true,
     }),
+    PR_TITLE: getInput({
+      key: 'PR_TITLE',
+    }),
+    PR_BODY: getInput({
+      key: 'PR_BODY',
+      default: '',
+    }),
+    COMMIT_PREFIX: getInput({
+      key: 'COMMIT_PREFIX',
+      default: '',
+    }),
+    COMMIT_BODY: getInput({
+      key: 'COMMIT_BODY',
+      default: '',
+    }),
+    COMMIT_AS_PR_TITLE: getInput({
+      key: 'COMMIT_AS_PR_TITLE',
+      type: 'boolean',
+      default: true,
+    }),
     ASSIGNEES: getInput({
       key: 'ASSIGNEES',
       type: 'array',
@@ -83,9 +123,64 @@ try {
       default: false,
       disableable: true,
     }),
+    DRY_RUN: getInput({
+      key: 'DRY_RUN',
+      type: 'boolean',
+      default: false,
+    }),
+    DRY_RUN_OUTPUT: getInput({
+      key: 'DRY_RUN_OUTPUT',
+      default: 'repo-file-sync-dry-run.diff',
+    }),
+    PARALLELISM: getInput({
+      key: 'PARALLELISM',
+      type: 'number',
+      default: 1,
+    }),
+    TEMPLATE_ROOT: getInput({
+      key: 'TEMPLATE_ROOT',
+      default: '.',
+    }),
+    TEMPLATE_PARTIALS: getInput({
+      key: 'TEMPLATE_PARTIALS',
+    }),
+    TEMPLATE_MODULE: getInput({
+      key: 'TEMPLATE_MODULE',
+    }),
+    MODE: getInput({
+      key: 'MODE',
+      default: 'sync',
+    }),
+    DRIFT_THRESHOLD: getInput({
+      key: 'DRIFT_THRESHOLD',
+      type: 'number',
+      default: 0,
+    }),
+    MANIFEST_PATH: getInput({
+      key: 'MANIFEST_PATH',
+    }),
+    MANIFEST_CLEANUP: getInput({
+      key: 'MANIFEST_CLEANUP',
+      type: 'boolean',
+      default: false,
+    }),
+    FORCE_SYNC: getInput({
+      key: 'FORCE_SYNC',
+      type: 'boolean',
+      default: false,
+    }),
+    RESULTS_OUTPUT: getInput({
+      key: 'RESULTS_OUTPUT',
+      default: 'repo-file-sync-results.json',
+      disableable: true,
+    }),
   };
 
-  core.setSecret(context.GITHUB_TOKEN);
+  if (context.GITHUB_TOKEN) core.setSecret(context.GITHUB_TOKEN);
+
+  if (!MODES.includes(context.MODE)) {
+    throw new Error(`Invalid MODE "${context.MODE}", must be one of: ${MODES.join(', ')}`);
+  }
 
   core.debug(JSON.stringify(context, null, 2));
 
@@ -110,6 +205,10 @@ const parseRepoName = (fullRepo) => {
     core.info('Using custom host');
   }
 
+  if (!/^[^/\s]+\/[^/\s@]+/.test(fullRepo)) {
+    throw new Error(`Invalid repository "${fullRepo}", expected the format user/repo[@branch]`);
+  }
+
   const user = fullRepo.split('/')[0];
   const name = fullRepo.split('/')[1].split('@')[0];
   const branch = fullRepo.split('@')[1] || 'default';
@@ -124,97 +223,463 @@ const parseRepoName = (fullRepo) => {
   };
 };
 
-const parseExclude = (text, src) => {
-  if (text === undefined || typeof text !== 'string') return undefined;
+// Patterns can either be given as a list or one per line, and are relative to the source path
+const parsePatterns = (value) => {
+  if (Array.isArray(value)) return value.map((pattern) => `${pattern}`.trim()).filter((pattern) => pattern);
+  if (value === undefined || typeof value !== 'string') return undefined;
 
-  const files = text.split('\n').filter((i) => i);
+  return value
+    .split('\n')
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern);
+};
 
-  return files.map((file) => path.join(src, file));
+// `merge: json` is short for `merge: { format: json }`
+const parseMerge = (value) => {
+  if (value === undefined) return undefined;
+
+  const merge = {
+    arrays: MERGE_ARRAYS_DEFAULT,
+    precedence: MERGE_PRECEDENCE_DEFAULT,
+    ...(typeof value === 'string' ? { format: value } : value),
+  };
+
+  if (!MERGE_FORMATS.includes(merge.format)) {
+    throw new Error(`Invalid merge format "${merge.format}", must be one of: ${MERGE_FORMATS.join(', ')}`);
+  }
+  if (!MERGE_ARRAYS.includes(merge.arrays)) {
+    throw new Error(`Invalid merge arrays option "${merge.arrays}", must be one of: ${MERGE_ARRAYS.join(', ')}`);
+  }
+  if (!MERGE_PRECEDENCE.includes(merge.precedence)) {
+    throw new Error(`Invalid merge precedence "${merge.precedence}", must be one of: ${MERGE_PRECEDENCE.join(', ')}`);
+  }
+
+  return merge;
 };
 
-const parseFiles = (files) => {
+// `block: true` uses the default markers, which can be changed with `block: { begin, end, position }`
+const parseBlock = (value) => {
+  if (value === undefined || value === false) return undefined;
+
+  const block = {
+    begin: BLOCK_BEGIN_DEFAULT,
+    end: BLOCK_END_DEFAULT,
+    position: BLOCK_POSITION_DEFAULT,
+    ...(typeof value === 'object' ? value : {}),
+  };
+
+  if (!BLOCK_POSITIONS.includes(block.position)) {
+    throw new Error(`Invalid block position "${block.position}", must be one of: ${BLOCK_POSITIONS.join(', ')}`);
+  }
+
+  return block;
+};
+
+// `when: { exists, absent, language, visibility }` conditions are checked against each target repo
+const parseWhen = (value) => ({
+  exists: parsePatterns(value.exists),
+  absent: parsePatterns(value.absent),
+  language: value.language === undefined ? undefined : parseList(value.language),
+  visibility: value.visibility,
+});
+
+// A source can be read from another repository and ref with `from: user/repo@ref`
+const parseSource = (item) => {
+  if (item.from === undefined) return { source: item.source };
+
+  return { from: parseRepoName(`${item.from}`.trim()), source: item.source };
+};
+
+// Fragments are rendered as templates like the file they compose, unless they set `template` themselves
+const parseFragment = (item, template) => {
+  if (typeof item === 'string') item = { source: item };
+
+  return {
+    ...parseSource(item),
+    template: item.template === undefined ? template : item.template,
+    when: item.when === undefined ? [] : [parseWhen(item.when)],
+  };
+};
+
+// The `when` conditions of the group have to match as well as the ones of the file itself
+const parseFiles = (files, groupWhen) => {
   return files.map((item) => {
     if (typeof item === 'string') item = { source: item };
 
+    const when = [groupWhen, item.when].filter((value) => value !== undefined).map(parseWhen);
+
+    // Deletion entries only need the path to remove from the target
+    if (item.delete === true) {
+      if (!item.dest) throw new Error(`Files with the 'delete' option need a 'dest' path`);
+
+      return { dest: item.dest, delete: true, when };
+    }
+
+    // Manual edits are detected with the manifest, without it an edited file would be overwritten anyway
+    if (!context.MANIFEST_PATH && ![undefined, 'overwrite'].includes(item.onManualEdit)) {
+      throw new Error(`The 'onManualEdit' option of ${item.source || item.dest} needs MANIFEST_PATH to be set`);
+    }
+
+    // The base of a three-way merge is read from the manifest, without it the file would always be replaced
+    if (!context.MANIFEST_PATH && item.strategy === 'three-way') {
+      throw new Error(`The 'three-way' strategy of ${item.source || item.dest} needs MANIFEST_PATH to be set`);
+    }
+
+    // Target repos add their own keys to merged files, which would be detected as manual edits
+    if (item.merge !== undefined && ![undefined, 'overwrite'].includes(item.onManualEdit)) {
+      throw new Error(`The 'onManualEdit' option of ${item.source || item.dest} can't be used with merge`);
+    }
+
+    // Composed files are built from multiple fragments instead of a single source
+    if (item.fragments !== undefined) {
+      if (!item.dest) throw new Error(`Files with the 'fragments' option need a 'dest' path`);
+      if (item.merge !== undefined && item.block) {
+        throw new Error(`The 'merge' and 'block' options of ${item.dest} can't be used together`);
+      }
+      if (item.strategy === 'three-way') {
+        throw new Error(`The 'three-way' strategy can't be used with the fragments of ${item.dest}`);
+      }
+
+      const template = item.template === undefined ? TEMPLATE_DEFAULT : item.template;
+
+      return {
+        dest: item.dest,
+        fragments: item.fragments.map((fragment) => parseFragment(fragment, template)),
+        separator: item.separator === undefined ? '' : `${item.separator}`,
+        replace: item.replace === undefined ? REPLACE_DEFAULT : item.replace,
+        merge: parseMerge(item.merge),
+        block: parseBlock(item.block),
+        onManualEdit: item.onManualEdit === undefined ? ON_MANUAL_EDIT_DEFAULT : item.onManualEdit,
+        when,
+      };
+    }
+
     if (item.source !== undefined) {
+      if (item.merge !== undefined && item.block) {
+        throw new Error(`The 'merge' and 'block' options of ${item.source} can't be used together`);
+      }
+      if (item.strategy === 'three-way' && (item.template || item.merge !== undefined || item.block)) {
+        throw new Error(`The 'three-way' strategy of ${item.source} can't be used with templates, merge or block`);
+      }
+
+      const { from, source } = parseSource(item);
+      if (from && item.strategy === 'three-way') {
+        throw new Error(`The 'three-way' strategy can't be used with ${item.source} from another repository`);
+      }
+
+      // A glob source is synced like a directory, starting at the path before the first glob segment
+      const { base, pattern } = isGlob(source) ? splitGlob(source) : { base: source };
+
       return {
-        source: item.source,
-        dest: item.dest || item.source,
+        source: base,
+        from,
+        pattern,
+        dest: item.dest || base,
         template: item.template === undefined ? TEMPLATE_DEFAULT : item.template,
         replace: item.replace === undefined ? REPLACE_DEFAULT : item.replace,
         deleteOrphaned: item.deleteOrphaned === undefined ? DELETE_ORPHANED_DEFAULT : item.deleteOrphaned,
-        exclude: parseExclude(item.exclude, item.source),
+        include: parsePatterns(item.include),
+        exclude: parsePatterns(item.exclude),
+        merge: parseMerge(item.merge),
+        block: parseBlock(item.block),
+        onManualEdit: item.onManualEdit === undefined ? ON_MANUAL_EDIT_DEFAULT : item.onManualEdit,
+        strategy: item.strategy === undefined ? STRATEGY_DEFAULT : item.strategy,
+        when,
       };
     }
 
-    core.warning('Warn: No source files specified');
+    throw new Error(`No source specified for file entry ${JSON.stringify(item)}`);
   });
 };
 
-const parseConfig = async () => {
-  const fileContent = await fs.promises.readFile(context.CONFIG_PATH);
+// A selector like `{ org, topics, exclude }` is resolved to all repos of the owner matching it
+const isSelector = (entry) => typeof entry === 'object' && (entry.org !== undefined || entry.user !== undefined);
 
-  const configObject = yamlLoad(fileContent.toString());
+const resolveSelector = async (selector, findRepos) => {
+  const { org, user, topics, name, exclude, archived, visibility, branch, ...entry } = selector;
 
-  const result = {};
+  if (!findRepos) {
+    core.info(`Not resolving the repository selector for ${org || user} without a token`);
+    return [];
+  }
+
+  const names = await findRepos({
+    org,
+    user,
+    topics: topics === undefined ? undefined : parseList(topics),
+    name: parsePatterns(name),
+    exclude: parsePatterns(exclude),
+    archived,
+    visibility,
+  });
+
+  core.info(`Repository selector for ${org || user} matched ${names.length} repositories`);
+  core.debug(JSON.stringify(names));
+
+  return names.map((fullName) => ({ ...entry, repo: branch ? `${fullName}@${branch}` : fullName }));
+};
+
+// Repos of a group can be listed one per line, as a list of names and/or `{ repo, vars, templateData }` entries,
+// or selected with one or more selectors
+const parseRepoEntries = async (repos, findRepos) => {
+  if (typeof repos === 'string') {
+    return repos
+      .split('\n')
+      .map((n) => n.trim())
+      .filter((n) => n)
+      .map((name) => ({ repo: name }));
+  }
+
+  const entries = [];
+  for (const entry of Array.isArray(repos) ? repos : [repos]) {
+    if (typeof entry === 'string') {
+      entries.push({ repo: entry });
+    } else if (isSelector(entry)) {
+      entries.push(...(await resolveSelector(entry, findRepos)));
+    } else {
+      entries.push(entry);
+    }
+  }
+
+  return entries;
+};
+
+const loadTemplateData = async (filePath) => {
+  if (!fs.existsSync(filePath)) throw new Error(`templateData file ${filePath} not found`);
 
-  for (const key of Object.keys(configObject)) {
-    if (key === 'group') {
-      const rawObject = configObject[key];
+  const fileContent = await fs.promises.readFile(filePath);
 
-      const groups = Array.isArray(rawObject) ? rawObject : [rawObject];
+  return yamlLoad(fileContent.toString()) || {};
+};
+
+// Variables from the `templateData` file, overridden by the ones set with `vars`
+const parseVars = async (entry) => ({
+  ...(entry.templateData !== undefined ? await loadTemplateData(entry.templateData) : {}),
+  ...entry.vars,
+});
+
+// Group variables are overridden by the template variables of a file, which are overridden by repo variables
+const applyVars = (files, groupVars, repoVars) =>
+  files.map((file) => {
+    if (file.fragments) return { ...file, fragments: applyVars(file.fragments, groupVars, repoVars) };
+    if (!file.template) return file;
+
+    return {
+      ...file,
+      template: {
+        ...groupVars,
+        ...(typeof file.template === 'object' ? file.template : {}),
+        ...repoVars,
+      },
+    };
+  });
+
+// Lists can be given as a YAML list or comma/newline separated, like the action inputs
+const parseList = (value) => {
+  if (Array.isArray(value)) return value.map((item) => `${item}`.trim()).filter((item) => item);
+
+  return `${value}`
+    .split(/[\n,]/)
+    .map((item) => item.trim())
+    .filter((item) => item);
+};
 
-      for (const group of groups) {
-        const repos =
-          typeof group.repos === 'string'
-            ? group.repos
-                .split('\n')
-                .map((n) => n.trim())
-                .filter((n) => n)
-            : group.repos;
+// PR settings which can be set on a group or repo entry, overriding the action inputs
+const PR_SETTINGS = {
+  prLabels: (value) => (value === false ? undefined : parseList(value)),
+  assignees: parseList,
+  reviewers: parseList,
+  teamReviewers: parseList,
+  autoMergeMergeMethod: (value) => (value === false ? undefined : `${value}`),
+  branchPrefix: (value) => `${value}`,
+};
 
-        for (const name of repos) {
-          const files = parseFiles(group.files);
-          const repo = parseRepoName(name);
+const parseSettings = (entry) => {
+  const settings = {};
+  for (const [key, parse] of Object.entries(PR_SETTINGS)) {
+    if (entry[key] !== undefined) settings[key] = parse(entry[key]);
+  }
+
+  return settings;
+};
 
-          if (result[repo.uniqueName] !== undefined) {
-            result[repo.uniqueName].files.push(...files);
-            continue;
+// Reads and validates a single config file
+const readConfigFile = async (filePath) => {
+  const fileContent = (await fs.promises.readFile(filePath)).toString();
+
+  const errors = validateConfig(fileContent);
+  if (errors.length > 0) {
+    for (const err of errors) {
+      core.error(`${filePath}:${err.line}:${err.column}: ${err.message}`, {
+        title: 'Invalid sync config',
+        file: filePath,
+        startLine: err.line,
+        startColumn: err.column,
+      });
+    }
+
+    throw new Error(`${filePath} is invalid, found ${errors.length} error(s)`);
+  }
+
+  return yamlLoad(fileContent) || {};
+};
+
+// `extends` and `include` take a path or glob pattern, or a list of them, relative to the config file
+const resolveConfigPaths = async (value, dir) => {
+  if (value === undefined) return [];
+
+  const paths = [];
+  for (const pattern of Array.isArray(value) ? value : [value]) {
+    const fullPattern = path.join(dir, pattern);
+
+    if (!isGlob(pattern)) {
+      paths.push(fullPattern);
+      continue;
+    }
+
+    const matches = await globFiles(fullPattern);
+    if (matches.length === 0) core.warning(`No config files found matching ${fullPattern}`);
+
+    paths.push(...matches);
+  }
+
+  return paths;
+};
+
+// Loads a config file and all files it extends or includes, in the order their entries are applied:
+// extended files first, then the file itself, then included files
+const loadConfigFiles = async (filePath, loaded = new Set(), chain = []) => {
+  const resolvedPath = path.resolve(filePath);
+
+  if (chain.includes(resolvedPath)) {
+    const cycle = [...chain, resolvedPath].map((file) => path.relative('.', file));
+    throw new Error(`Circular config file reference: ${cycle.join(' -> ')}`);
+  }
+
+  // A file extended or included from multiple places is only applied the first time
+  if (loaded.has(resolvedPath)) {
+    core.debug(`Config file ${filePath} already loaded, skipping`);
+    return [];
+  }
+  loaded.add(resolvedPath);
+
+  if (!fs.existsSync(filePath)) {
+    const parent = chain.length > 0 ? ` (referenced in ${path.relative('.', chain[chain.length - 1])})` : '';
+    throw new Error(`Config file ${filePath} not found${parent}`);
+  }
+
+  core.debug(`Loading config file ${filePath}`);
+  const { extends: extendsValue, include, ...configObject } = await readConfigFile(filePath);
+
+  const dir = path.dirname(filePath);
+  const nextChain = [...chain, resolvedPath];
+
+  const configs = [];
+  for (const extendedPath of await resolveConfigPaths(extendsValue, dir)) {
+    configs.push(...(await loadConfigFiles(extendedPath, loaded, nextChain)));
+  }
+
+  configs.push(configObject);
+
+  for (const includedPath of await resolveConfigPaths(include, dir)) {
+    configs.push(...(await loadConfigFiles(includedPath, loaded, nextChain)));
+  }
+
+  return configs;
+};
+
+// Repository selectors are resolved with `findRepos`, and skipped if it isn't given. Returns the target repos
+// and all files the config was read from, including `templateData` files
+const parseConfig = async (findRepos) => {
+  const configFiles = new Set();
+  const configs = await loadConfigFiles(context.CONFIG_PATH, configFiles);
+
+  const loadVars = (entry) => {
+    if (entry.templateData !== undefined) configFiles.add(path.resolve(entry.templateData));
+
+    return parseVars(entry);
+  };
+
+  const result = {};
+
+  const defaultSettings = {
+    prLabels: context.PR_LABELS,
+    assignees: context.ASSIGNEES,
+    reviewers: context.REVIEWERS,
+    teamReviewers: context.TEAM_REVIEWERS,
+    autoMergeMergeMethod: context.AUTO_MERGE_MERGE_METHOD,
+    branchPrefix: context.BRANCH_PREFIX,
+  };
+
+  // Entries of later config files are added to the ones of earlier files, see `loadConfigFiles`
+  for (const configObject of configs) {
+    for (const key of Object.keys(configObject)) {
+      if (key === 'group') {
+        const rawObject = configObject[key];
+
+        const groups = Array.isArray(rawObject) ? rawObject : [rawObject];
+
+        for (const group of groups) {
+          const groupVars = await loadVars(group);
+          const groupSettings = parseSettings(group);
+
+          for (const entry of await parseRepoEntries(group.repos, findRepos)) {
+            const files = applyVars(parseFiles(group.files, group.when), groupVars, await loadVars(entry));
+            const settings = { ...groupSettings, ...parseSettings(entry) };
+            const repo = parseRepoName(entry.repo);
+
+            // Settings of groups listed later override the ones of earlier groups
+            if (result[repo.uniqueName] !== undefined) {
+              result[repo.uniqueName].files.push(...files);
+              Object.assign(result[repo.uniqueName].settings, settings);
+              continue;
+            }
+
+            result[repo.uniqueName] = {
+              repo,
+              files,
+              settings: { ...defaultSettings, ...settings },
+            };
           }
+        }
+      } else {
+        const files = parseFiles(configObject[key]);
+        const repo = parseRepoName(key);
 
-          result[repo.uniqueName] = {
-            repo,
-            files,
-          };
+        if (result[repo.uniqueName] !== undefined) {
+          result[repo.uniqueName].files.push(...files);
+          continue;
         }
-      }
-    } else {
-      const files = parseFiles(configObject[key]);
-      const repo = parseRepoName(key);
 
-      if (result[repo.uniqueName] !== undefined) {
-        result[repo.uniqueName].files.push(...files);
-        continue;
+        result[repo.uniqueName] = {
+          repo,
+          files,
+          settings: { ...defaultSettings },
+        };
       }
-
-      result[repo.uniqueName] = {
-        repo,
-        files,
-      };
     }
   }
 
-  return Object.values(result);
+  return {
+    repos: Object.values(result),
+    configFiles: [...configFiles].map((file) => path.relative('.', file)),
+  };
 };
 
 const {
   GITHUB_TOKEN,
+  VALIDATE_ONLY,
   GITHUB_REPOSITORY,
   BRANCH_PREFIX,
   IS_INSTALLATION_TOKEN,
   IS_FINE_GRAINED,
   CONFIG_PATH,
   PR_LABELS,
+  PR_TITLE,
+  PR_BODY,
+  COMMIT_PREFIX,
+  COMMIT_BODY,
+  COMMIT_AS_PR_TITLE,
   ASSIGNEES,
   REVIEWERS,
   TEAM_REVIEWERS,
@@ -223,16 +688,34 @@ const {
   GIT_USERNAME,
   TMP_DIR,
   FORK,
+  DRY_RUN,
+  DRY_RUN_OUTPUT,
+  RESULTS_OUTPUT,
+  FORCE_SYNC,
+  MODE,
+  DRIFT_THRESHOLD,
+  MANIFEST_PATH,
+  MANIFEST_CLEANUP,
+  PARALLELISM,
+  TEMPLATE_ROOT,
+  TEMPLATE_PARTIALS,
+  TEMPLATE_MODULE,
 } = context;
 
 export {
   GITHUB_TOKEN,
+  VALIDATE_ONLY,
   GITHUB_REPOSITORY,
   BRANCH_PREFIX,
   IS_INSTALLATION_TOKEN,
   IS_FINE_GRAINED,
   CONFIG_PATH,
   PR_LABELS,
+  PR_TITLE,
+  PR_BODY,
+  COMMIT_PREFIX,
+  COMMIT_BODY,
+  COMMIT_AS_PR_TITLE,
   ASSIGNEES,
   REVIEWERS,
   TEAM_REVIEWERS,
@@ -241,5 +724,17 @@ export {
   GIT_USERNAME,
   TMP_DIR,
   FORK,
+  DRY_RUN,
+  DRY_RUN_OUTPUT,
+  RESULTS_OUTPUT,
+  FORCE_SYNC,
+  MODE,
+  DRIFT_THRESHOLD,
+  MANIFEST_PATH,
+  MANIFEST_CLEANUP,
+  PARALLELISM,
+  TEMPLATE_ROOT,
+  TEMPLATE_PARTIALS,
+  TEMPLATE_MODULE,
   parseConfig,
 };
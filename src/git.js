@@ -17,9 +17,17 @@ import {
   GITHUB_REPOSITORY,
   BRANCH_PREFIX,
   FORK,
+  DRY_RUN,
+  MODE,
+  PARALLELISM,
+  PR_TITLE,
+  PR_BODY,
+  COMMIT_PREFIX,
+  COMMIT_BODY,
+  COMMIT_AS_PR_TITLE,
 } from './config.js';
 
-import { execCmd } from './helpers.js';
+import { execCmd, createLock, renderString, matchesAny } from './helpers.js';
 
 // OVERWRITE_EXISTING_PR is not configurable and defaults to true (undefined !== false)
 // When false, a timestamp would be appended to branch names to create new PRs
@@ -38,28 +46,160 @@ const PR_BEING_UPDATED_WARNING = `<div align=center>
     </table>
 </div>`;
 
-class Git {
-  constructor() {
-    const Octokit = GitHub.plugin(throttling);
-
-    const options = getOctokitOptions(GITHUB_TOKEN, {
-      throttle: {
-        onRateLimit: (retryAfter) => {
-          core.debug(`Hit GitHub API rate limit, retrying after ${retryAfter}s`);
-          return true;
-        },
-        onSecondaryRateLimit: (retryAfter) => {
-          core.debug(`Hit secondary GitHub API rate limit, retrying after ${retryAfter}s`);
-          return true;
-        },
+// All source worktrees share the object store and shallow file of the source repository
+const sourceRepoLock = createLock();
+
+const createOctokit = () => {
+  const Octokit = GitHub.plugin(throttling);
+
+  const options = getOctokitOptions(GITHUB_TOKEN, {
+    throttle: {
+      onRateLimit: (retryAfter) => {
+        core.debug(`Hit GitHub API rate limit, retrying after ${retryAfter}s`);
+        return true;
       },
-    });
+      onSecondaryRateLimit: (retryAfter) => {
+        core.debug(`Hit secondary GitHub API rate limit, retrying after ${retryAfter}s`);
+        return true;
+      },
+    },
+  });
+
+  return new Octokit(options);
+};
+
+const getGitUrl = (repo) =>
+  `https://${IS_INSTALLATION_TOKEN ? 'x-access-token:' : ''}${IS_FINE_GRAINED ? 'oauth:' : ''}${GITHUB_TOKEN}@${repo.fullName}.git`;
 
-    const octokit = new Octokit(options);
+// Other repositories files are synced from are fetched once and shared by all targets
+const remoteSources = new Map();
 
+// Fetches the ref of a repository files are synced from, other than the source repository. The ref can be a
+// branch, tag or commit SHA. Returns the directory it was fetched to and the SHA of the fetched commit
+const fetchRemoteSource = (repo) => {
+  if (!remoteSources.has(repo.uniqueName)) {
+    const dir = path.join(TMP_DIR, 'remote', repo.uniqueName);
+    const ref = repo.branch === 'default' ? 'HEAD' : repo.branch;
+
+    const fetching = (async () => {
+      core.info(`Fetching ${ref} of ${repo.fullName}`);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await execCmd(`git init -q`, dir);
+      await execCmd(`git fetch -q --depth 1 ${getGitUrl(repo)} "${ref}"`, dir);
+      await execCmd(`git checkout -q FETCH_HEAD`, dir);
+
+      return {
+        dir,
+        repository: `${repo.user}/${repo.name}`,
+        sha: await execCmd(`git rev-parse HEAD`, dir),
+      };
+    })();
+
+    remoteSources.set(repo.uniqueName, fetching);
+  }
+
+  return remoteSources.get(repo.uniqueName);
+};
+
+// Adds the COMMIT_PREFIX and COMMIT_BODY to the message of a commit created in the target repo
+const decorateCommitMessage = (message) => {
+  const subject = COMMIT_PREFIX ? `${COMMIT_PREFIX} ${message}` : message;
+  return COMMIT_BODY ? `${subject}\n\n${COMMIT_BODY}` : subject;
+};
+
+// Removes the COMMIT_PREFIX and COMMIT_BODY again, e.g. from the commits of an existing PR
+const undecorateCommitMessage = (message) => {
+  let result = message;
+  if (COMMIT_PREFIX && result.startsWith(`${COMMIT_PREFIX} `)) result = result.slice(COMMIT_PREFIX.length + 1);
+  if (COMMIT_BODY && result.endsWith(`\n\n${COMMIT_BODY}`)) result = result.slice(0, -(COMMIT_BODY.length + 2));
+  return result;
+};
+
+// Parses the output of `git diff --name-status`
+const parseNameStatus = (output) =>
+  output
+    .split('\n')
+    .filter((line) => line)
+    .map((line) => {
+      const [status, ...paths] = line.split('\t');
+      return {
+        status: status.charAt(0),
+        path: paths[paths.length - 1],
+      };
+    });
+
+class Git {
+  constructor(octokit = createOctokit()) {
     // We need the graphql & rest clients
     this.graphql = octokit.graphql;
     this.github = octokit.rest;
+    this.paginate = octokit.paginate;
+
+    // Repos of an owner, cached as multiple selectors can target the same owner
+    this.ownerRepos = new Map();
+  }
+
+  // Returns the metadata of the target repository, like its primary language and visibility
+  async getRepoInfo() {
+    if (this.repoInfo === undefined) {
+      const { data } = await this.github.repos.get({
+        owner: this.repo.user,
+        repo: this.repo.name,
+      });
+      this.repoInfo = data;
+    }
+
+    return this.repoInfo;
+  }
+
+  // Returns the login of the user the token belongs to, installation tokens don't belong to a user
+  async getAuthenticatedLogin() {
+    if (IS_INSTALLATION_TOKEN) return undefined;
+
+    if (this.authenticatedLogin === undefined) {
+      const { data } = await this.github.users.getAuthenticated();
+      this.authenticatedLogin = data.login;
+    }
+
+    return this.authenticatedLogin;
+  }
+
+  async listOwnerRepos(selector) {
+    const owner = selector.org || selector.user;
+
+    const listRepos = async () => {
+      core.debug(`Listing repositories of ${owner}`);
+      if (selector.org) return this.paginate(this.github.repos.listForOrg, { org: owner, type: 'all', per_page: 100 });
+
+      // The repositories of other users only include public ones, the private ones of the token's own account
+      // are only listed for the authenticated user
+      const login = await this.getAuthenticatedLogin();
+      if (login?.toLowerCase() === owner.toLowerCase()) {
+        return this.paginate(this.github.repos.listForAuthenticatedUser, { affiliation: 'owner', per_page: 100 });
+      }
+
+      return this.paginate(this.github.repos.listForUser, { username: owner, type: 'owner', per_page: 100 });
+    };
+
+    if (!this.ownerRepos.has(owner)) this.ownerRepos.set(owner, listRepos());
+
+    return this.ownerRepos.get(owner);
+  }
+
+  // Returns the full names of all repositories matching the selector of a group
+  async findRepos(selector) {
+    const repos = await this.listOwnerRepos(selector);
+    const archived = selector.archived === undefined ? false : selector.archived;
+
+    return repos
+      .filter((repo) => repo.archived === archived)
+      .filter((repo) => !selector.visibility || repo.visibility === selector.visibility)
+      .filter((repo) => !selector.topics || selector.topics.every((topic) => repo.topics?.includes(topic)))
+      .filter((repo) => !selector.name || matchesAny(repo.full_name, selector.name))
+      .filter((repo) => !selector.exclude || !matchesAny(repo.full_name, selector.exclude))
+      .map((repo) => repo.full_name)
+      .sort();
   }
 
   async initRepo(repo) {
@@ -67,18 +207,25 @@ class Git {
     this.existingPr = undefined;
     this.prBranch = undefined;
     this.baseBranch = undefined;
+    this.repoInfo = undefined;
+    this.commitShas = [];
 
     // Set values to current repo
     this.repo = repo;
     this.workingDir = path.join(TMP_DIR, repo.uniqueName);
-    this.gitUrl = `https://${IS_INSTALLATION_TOKEN ? 'x-access-token:' : ''}${IS_FINE_GRAINED ? 'oauth:' : ''}${GITHUB_TOKEN}@${repo.fullName}.git`;
+    this.gitUrl = getGitUrl(repo);
+
+    // Synced one at a time, the targets read the workspace itself, including files generated by earlier steps
+    this.sourceDir = PARALLELISM > 1 ? path.join(TMP_DIR, 'source', repo.uniqueName) : '.';
 
     await this.clone();
+    if (PARALLELISM > 1) await this.addSourceWorktree();
     await this.setIdentity();
     this.baseBranch = await this.getBaseBranch(this.workingDir);
     await this.getLastCommitSha();
 
-    if (FORK) {
+    // A dry run must not create anything on GitHub, so the fork is only used for looking up existing PRs
+    if (FORK && !DRY_RUN && MODE !== 'check') {
       const forkUrl = `https://${GITHUB_TOKEN}@github.com/${FORK}/${this.repo.name}.git`;
       await this.createFork();
       await this.createRemote(forkUrl);
@@ -105,6 +252,15 @@ class Git {
     );
   }
 
+  // When syncing in parallel, each target repository gets its own worktree of the source repository, so that
+  // checking out the source commits for one target doesn't affect any other target. Worktrees only contain
+  // committed files
+  async addSourceWorktree() {
+    core.debug(`Adding source worktree ${this.sourceDir}`);
+
+    return sourceRepoLock(() => execCmd(`git worktree add --detach "${this.sourceDir}" HEAD`));
+  }
+
   async setIdentity() {
     let username = GIT_USERNAME;
     let email = GIT_EMAIL;
@@ -136,8 +292,8 @@ class Git {
     return execCmd(`git rev-parse --abbrev-ref HEAD`, workingDir);
   }
 
-  async reservePrBranchName() {
-    const prefix = BRANCH_PREFIX.replace('SOURCE_REPO_NAME', GITHUB_REPOSITORY.split('/')[1]);
+  async reservePrBranchName(branchPrefix = BRANCH_PREFIX) {
+    const prefix = branchPrefix.replace('SOURCE_REPO_NAME', GITHUB_REPOSITORY.split('/')[1]);
 
     let newBranch = path.join(prefix, this.repo.branch).replace(/\\/g, '/').replace(/\/\./g, '/');
 
@@ -167,6 +323,11 @@ class Git {
     return execCmd(`git add -f "${file}"`, this.workingDir);
   }
 
+  // Removes the path (or glob pattern) from the working tree and stages the deletion
+  async remove(file) {
+    return execCmd(`git rm -r -q --ignore-unmatch -- ":(glob)${file}"`, this.workingDir);
+  }
+
   async getCommitShaAndMessage(ref, workingDir) {
     const commitInfo = await execCmd(`git log -n 1 --format='%H %B' ${ref}`, workingDir);
     core.debug(`commitInfo for [${ref}]: ${commitInfo}`);
@@ -202,8 +363,41 @@ class Git {
     return parse(statusOutput).length !== 0;
   }
 
+  // Returns the files that differ between the base branch and the current HEAD
+  async getChangedFiles() {
+    const output = await execCmd(`git diff --name-status --no-renames ${this.baseBranch} HEAD`, this.workingDir);
+
+    return parseNameStatus(output);
+  }
+
+  // Returns the staged files that differ from the current HEAD
+  async getStagedFiles() {
+    const output = await execCmd(`git diff --cached --name-status --no-renames HEAD`, this.workingDir);
+
+    return parseNameStatus(output);
+  }
+
+  // Checks if any of the given paths differ between the base branch and the current HEAD
+  async hasChangesAgainstBase(paths) {
+    const pathspec = paths.map((file) => `"${file}"`).join(' ');
+    const output = await execCmd(`git diff --name-only ${this.baseBranch} HEAD -- ${pathspec}`, this.workingDir);
+
+    return output !== '';
+  }
+
+  // Returns the unified diff between the base branch and the current HEAD
+  async getDiff() {
+    return execCmd(`git diff ${this.baseBranch} HEAD`, this.workingDir, false);
+  }
+
   async commit(message) {
-    return execCmd(`git commit -m '${message.replace(/'/g, "'\\''")}'`, this.workingDir);
+    message = decorateCommitMessage(message);
+    await execCmd(`git commit -m '${message.replace(/'/g, "'\\''")}'`, this.workingDir);
+
+    const sha = await execCmd(`git rev-parse HEAD`, this.workingDir);
+    this.commitShas.push(sha);
+
+    return sha;
   }
 
   // Returns a git tree parsed for the specified commit sha
@@ -211,7 +405,8 @@ class Git {
     const output = await execCmd(`git ls-tree -r --full-tree ${commitSha}`, this.workingDir);
 
     const tree = [];
-    for (const treeObject of output.split('\n')) {
+    // A commit can delete every file, which leaves an empty tree
+    for (const treeObject of output.split('\n').filter((line) => line !== '')) {
       const [mode, type, sha] = treeObject.split(/\s/);
       const file = treeObject.split('\t')[1];
 
@@ -305,8 +500,11 @@ class Git {
       if (error.message !== 'Reference already exists') throw error;
     }
 
+    // The commits are recreated through the API, so their SHAs differ from the local ones
+    this.commitShas = [];
     for (const commitData of commitsData) {
       await this.createGithubTreeAndCommit(commitData.tree, commitData.commitMessage);
+      this.commitShas.push(this.lastCommitSha);
     }
 
     core.debug(`Updating branch ${this.prBranch} ref`);
@@ -320,14 +518,17 @@ class Git {
     core.debug(`Commit using GitHub API completed`);
   }
 
+  // Pushes the PR branch and returns the SHAs of the commits that were pushed
   async push() {
     if (FORK) {
-      return execCmd(`git push -u fork ${this.prBranch} --force`, this.workingDir);
+      await execCmd(`git push -u fork ${this.prBranch} --force`, this.workingDir);
+    } else if (IS_INSTALLATION_TOKEN) {
+      await this.createGithubVerifiedCommits();
+    } else {
+      await execCmd(`git push ${this.gitUrl} --force`, this.workingDir);
     }
-    if (IS_INSTALLATION_TOKEN) {
-      return await this.createGithubVerifiedCommits();
-    }
-    return execCmd(`git push ${this.gitUrl} --force`, this.workingDir);
+
+    return this.commitShas;
   }
 
   async deepenCheckout(depth, workingDir) {
@@ -335,6 +536,29 @@ class Git {
     core.debug(output);
   }
 
+  async deepenSourceCheckout(depth) {
+    return sourceRepoLock(() => this.deepenCheckout(depth, this.sourceDir));
+  }
+
+  // Returns the content of a file at a commit of the source repository, fetching the commit if needed
+  async getSourceFileAt(sha, filePath) {
+    const show = () => execCmd(`git show "${sha}:${filePath}"`, this.sourceDir, false);
+
+    try {
+      return await show();
+    } catch {
+      core.debug(`Fetching commit ${sha} of the source repository`);
+    }
+
+    try {
+      await sourceRepoLock(() => execCmd(`git fetch --depth 1 origin ${sha}`, this.sourceDir));
+      return await show();
+    } catch (err) {
+      core.warning(`Unable to read ${filePath} at ${sha} from the source repository: ${err.message}`);
+      return undefined;
+    }
+  }
+
   async findExistingPr() {
     const { data } = await this.github.pulls.list({
       owner: this.repo.user,
@@ -393,7 +617,8 @@ class Git {
     });
   }
 
-  async createOrUpdatePr(commitMessages) {
+  // `warnings` are Markdown messages highlighted at the top of the PR description
+  async createOrUpdatePr(commitMessages, changedFiles, warnings = []) {
     const srcRepoBeforeRef = this.getSrcRepoBeforeRef();
     core.debug(`srcRepoBeforeRef: ${srcRepoBeforeRef}`);
 
@@ -402,7 +627,7 @@ class Git {
     // Change a commit message FROM `foobar (#123)` TO `foobar (https://gh.com/<owner>/<repo>/pull/123)`
     commitMessages = commitMessages.map((commitMessage) => {
       return (
-        commitMessage
+        undecorateCommitMessage(commitMessage)
           // Change a commit message FROM `foobar (#123)` TO `foobar (https://gh.com/<owner>/<repo>/pull/123)`
           .replace(/\(#([0-9]+)\)/g, `${github.context.payload.repository.html_url}/pull/$1`)
           // Change a commit message FROM `foobar (https://gh.com/<owner>/<repo>/pull/123)` TO `foobar (<owner>/<repo>/pull/123)`
@@ -412,8 +637,34 @@ class Git {
     core.debug('AFTER');
     core.debug(JSON.stringify(commitMessages, 2));
 
+    // The variables the PR_TITLE and PR_BODY templates are rendered with
+    const templateContext = {
+      target: {
+        host: this.repo.host,
+        user: this.repo.user,
+        name: this.repo.name,
+        branch: this.baseBranch,
+      },
+      source: {
+        repository: GITHUB_REPOSITORY,
+      },
+      commits: commitMessages.map((message) => ({ subject: message.split('\n')[0], message })),
+      files: changedFiles,
+      warnings,
+      branch: this.prBranch,
+      existing: this.existingPr !== undefined,
+    };
+
     // Build the PR title from commit message(s) and list the commit messages in the PR description.
-    const title = commitMessages.map((message) => message.split('\n')[0]).join('; ');
+    let title;
+    if (PR_TITLE) {
+      title = renderString(PR_TITLE, templateContext).trim();
+    } else {
+      const subject = COMMIT_AS_PR_TITLE
+        ? commitMessages.map((message) => message.split('\n')[0]).join('; ')
+        : `Synced file(s) with ${GITHUB_REPOSITORY}`;
+      title = COMMIT_PREFIX ? `${COMMIT_PREFIX} ${subject}` : subject;
+    }
 
     const originalCommitMessages =
       commitMessages
@@ -445,6 +696,9 @@ class Git {
     // This works, it's not pretty, but works.
     const body = [
       `Synced local file(s) with [${GITHUB_REPOSITORY}](https://github.com/${GITHUB_REPOSITORY}).`,
+      ...(PR_BODY ? ['', renderString(PR_BODY, templateContext).trim(), ''] : []),
+      ...warnings.flatMap((warning) => ['', '> [!WARNING]', ...warning.split('\n').map((line) => `> ${line}`)]),
+      ...(warnings.length > 0 ? [''] : []),
       '<details open>',
       '<summary>Source Repo Commit Messages</summary>',
       '<ul>',
@@ -491,6 +745,57 @@ class Git {
     return data;
   }
 
+  // Closes the existing PR with an explanatory comment and deletes its branch
+  async closePr() {
+    core.debug(`Closing ${this.repo.user}/${this.repo.name} PR#${this.existingPr.number}`);
+
+    await this.github.issues.createComment({
+      owner: this.repo.user,
+      repo: this.repo.name,
+      issue_number: this.existingPr.number,
+      body: [
+        `The synced file(s) in \`${this.baseBranch}\` already match [${GITHUB_REPOSITORY}](https://github.com/${GITHUB_REPOSITORY}), so this PR is no longer needed.`,
+        '',
+        `Closed automatically by the [ChrisCarini/repo-file-sync-action](https://github.com/ChrisCarini/repo-file-sync-action) workflow run [#${GH_RUN_ID}](https://github.com/${GITHUB_REPOSITORY}/actions/runs/${GH_RUN_ID}).`,
+      ].join('\n'),
+    });
+
+    await this.github.pulls.update({
+      owner: this.repo.user,
+      repo: this.repo.name,
+      pull_number: this.existingPr.number,
+      state: 'closed',
+    });
+
+    core.debug(`Deleting branch ${this.prBranch}`);
+    await this.github.git.deleteRef({
+      owner: FORK ? FORK : this.repo.user,
+      repo: this.repo.name,
+      ref: `heads/${this.prBranch}`,
+    });
+  }
+
+  // Keeps a single comment identified by a hidden marker up to date instead of adding a new one on every run
+  async setPrComment(marker, body) {
+    const markedBody = `<!-- repo-file-sync:${marker} -->\n${body}`;
+    const params = { owner: this.repo.user, repo: this.repo.name };
+
+    const comments = await this.paginate(this.github.issues.listComments, {
+      ...params,
+      issue_number: this.existingPr.number,
+      per_page: 100,
+    });
+    const existing = comments.find((comment) => comment.body?.startsWith(`<!-- repo-file-sync:${marker} -->`));
+
+    if (existing === undefined) {
+      await this.github.issues.createComment({ ...params, issue_number: this.existingPr.number, body: markedBody });
+    } else if (existing.body !== markedBody) {
+      await this.github.issues.updateComment({ ...params, comment_id: existing.id, body: markedBody });
+    } else {
+      core.debug(`PR comment ${marker} is already up to date`);
+    }
+  }
+
   async enablePrAutoMerge(mergeMethod) {
     if (!this.existingPr) {
       core.warning(`Unable to enable Auto-Merge on PR; no existing PR found.`);
@@ -636,4 +941,5 @@ class Git {
   }
 }
 
+export { createOctokit, fetchRemoteSource };
 export default Git;
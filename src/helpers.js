@@ -4,8 +4,11 @@ import { exec } from 'child_process';
 import * as core from '@actions/core';
 import path from 'path';
 import nunjucks from 'nunjucks';
+import { AsyncLocalStorage } from 'async_hooks';
+import { minimatch, Minimatch } from 'minimatch';
+import { pathToFileURL } from 'url';
 
-nunjucks.configure({ autoescape: true, trimBlocks: true, lstripBlocks: true });
+import { mergeContent, replaceBlock, mergeThreeWay } from './merge.js';
 
 // From https://github.com/toniov/p-iteration/blob/master/lib/static-methods.js - MIT © Antonio V
 const forEach = async (array, callback) => {
@@ -14,6 +17,63 @@ const forEach = async (array, callback) => {
   }
 };
 
+// Holds the output of the task running in the current async context, see forEachParallel
+const outputBuffer = new AsyncLocalStorage();
+
+// Runs the callback for up to `limit` elements at the same time. The output of each
+// callback is buffered and written in one piece once it finished, so the logs of
+// concurrently running callbacks don't end up interleaved.
+const forEachParallel = async (array, limit, callback) => {
+  if (limit <= 1) return forEach(array, callback);
+
+  const stdoutWrite = process.stdout.write;
+  process.stdout.write = (chunk, ...args) => {
+    const buffer = outputBuffer.getStore();
+    if (buffer === undefined) return stdoutWrite.call(process.stdout, chunk, ...args);
+
+    buffer.push(chunk);
+    const done = args.find((arg) => typeof arg === 'function');
+    if (done) process.nextTick(done);
+    return true;
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < array.length) {
+      const index = next++;
+      const buffer = [];
+      try {
+        await outputBuffer.run(buffer, () => callback(array[index], index, array));
+      } finally {
+        stdoutWrite.call(process.stdout, buffer.join(''));
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(limit, array.length) }, worker));
+  } finally {
+    process.stdout.write = stdoutWrite;
+  }
+};
+
+// Returns a function which runs the given async functions one after another
+const createLock = () => {
+  let last = Promise.resolve();
+  return async (fn) => {
+    const previous = last;
+    let release;
+    last = new Promise((resolve) => (release = resolve));
+
+    try {
+      await previous;
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+};
+
 const execCmd = (command, workingDir, trimResult = true) => {
   core.debug(`EXEC: "${command}" IN ${workingDir}`);
   return new Promise((resolve, reject) => {
@@ -37,69 +97,226 @@ const pathIsDirectory = async (filePath) => {
   return stat.isDirectory();
 };
 
-const write = async (src, dest, context) => {
-  if (typeof context !== 'object') {
-    context = {};
+// Loads the custom filters and globals from a module exporting `filters` and/or `globals`,
+// or a default function which is called with each nunjucks environment
+const loadTemplateModule = async (modulePath) => {
+  if (modulePath === undefined) return {};
+
+  core.debug(`Loading template module ${modulePath}`);
+  const module = await import(/* webpackIgnore: true */ pathToFileURL(path.resolve(modulePath)).href);
+
+  return {
+    filters: module.filters || {},
+    globals: module.globals || {},
+    setup: typeof module.default === 'function' ? module.default : undefined,
+  };
+};
+
+// Templates are looked up in the given search paths. Caching is disabled as the same
+// template path is rendered again for every source commit being synced.
+const createTemplateEnvironment = (searchPaths, templateModule = {}) => {
+  const loader = new nunjucks.FileSystemLoader(searchPaths, { noCache: true });
+  const env = new nunjucks.Environment(loader, { autoescape: true, trimBlocks: true, lstripBlocks: true });
+
+  for (const [name, filter] of Object.entries(templateModule.filters || {})) {
+    env.addFilter(name, filter);
+  }
+
+  for (const [name, value] of Object.entries(templateModule.globals || {})) {
+    env.addGlobal(name, value);
+  }
+
+  if (templateModule.setup) templateModule.setup(env);
+
+  return env;
+};
+
+// PR titles and bodies are Markdown, so nothing is escaped
+const stringEnv = new nunjucks.Environment(null, { autoescape: false, trimBlocks: true, lstripBlocks: true });
+
+const renderString = (template, context) => stringEnv.renderString(template, context);
+
+const render = async (src, context, env) => {
+  // Rendered by path, so that relative includes and extends are resolved relative to the template
+  const template = new nunjucks.Template(await fs.readFile(src, 'utf-8'), env, path.resolve(src));
+  return template.render(context);
+};
+
+// Writes the content of `src` to `dest`, merging it with the existing file depending on the file options
+const writeContent = async (content, src, dest, file, getMergeBase) => {
+  if (file.strategy === 'three-way' && fs.existsSync(dest)) {
+    const base = await getMergeBase(dest);
+
+    // Without a base, e.g. before the first sync, the file is replaced
+    if (base !== undefined) {
+      core.debug(`Merging ${src} into ${dest}`);
+      const merged = await mergeThreeWay(await fs.readFile(dest, 'utf-8'), base, content);
+
+      await fs.outputFile(dest, merged.content);
+      return merged.conflicts;
+    }
+  }
+
+  if (file.merge !== undefined && fs.existsSync(dest)) {
+    core.debug(`Merging ${src} into ${dest} as ${file.merge.format}`);
+    content = mergeContent(await fs.readFile(dest, 'utf-8'), content, file.merge);
+  }
+
+  if (file.block !== undefined) {
+    core.debug(`Replacing block "${file.block.begin}" in ${dest} with ${src}`);
+    const destContent = fs.existsSync(dest) ? await fs.readFile(dest, 'utf-8') : '';
+    content = replaceBlock(destContent, content, file.block);
   }
-  const content = nunjucks.render(src, context);
+
   await fs.outputFile(dest, content);
+  return false;
+};
+
+// Copies or renders `src` to `dest`, returns true if the file was merged with conflicts
+const write = async (src, dest, file, context, env, getMergeBase) => {
+  const isThreeWay = file.strategy === 'three-way' && fs.existsSync(dest);
+
+  // Plain files are copied as they are, which keeps their file mode
+  if (!file.template && file.merge === undefined && file.block === undefined && !isThreeWay) {
+    await fs.copy(src, dest);
+    return false;
+  }
+
+  const content = file.template ? await render(src, context, env) : await fs.readFile(src, 'utf-8');
+
+  return writeContent(content, src, dest, file, getMergeBase);
+};
+
+// Joins the fragments of a composed file in order, rendering the ones which are templates. Each fragment
+// ends with a newline, so the separator always starts on a line of its own
+const compose = async (fragments, dest, file, context, env) => {
+  const contents = [];
+  for (const fragment of fragments) {
+    const content = fragment.template
+      ? await render(fragment.path, { ...context, ...fragment.template }, env)
+      : await fs.readFile(fragment.path, 'utf-8');
+
+    contents.push(content === '' || content.endsWith('\n') ? content : `${content}\n`);
+  }
+
+  core.debug(`Compose ${dest} from ${fragments.map((fragment) => fragment.path).join(', ')}`);
+  await writeContent(contents.join(file.separator), `${fragments.length} fragment(s)`, dest, file);
+};
+
+// Splits a glob pattern into the directory before the first magic path segment and the remaining pattern
+const splitGlob = (pattern) => {
+  const segments = pattern.split('/');
+  const index = segments.findIndex((segment) => new Minimatch(segment).hasMagic());
+
+  return {
+    base: segments.slice(0, index).join('/') || '.',
+    pattern: segments.slice(index).join('/'),
+  };
+};
+
+const isGlob = (pattern) => new Minimatch(pattern).hasMagic();
+
+// Returns the paths of all files matching the glob pattern, sorted alphabetically
+const globFiles = async (pattern) => {
+  const { base, pattern: relativePattern } = splitGlob(pattern);
+  if (!fs.existsSync(base)) return [];
+
+  const files = await readfiles(base, { readContents: false, hidden: true });
+
+  return files
+    .filter((file) => minimatch(file, relativePattern, { dot: true }))
+    .sort()
+    .map((file) => path.join(base, file));
 };
 
-const copy = async (src, dest, isDirectory, file) => {
-  const deleteOrphaned = isDirectory && file.deleteOrphaned;
+// Patterns without a slash match files in any directory, like in a .gitignore
+const matchesAny = (filePath, patterns) =>
+  patterns.some((pattern) => minimatch(filePath, pattern, { dot: true, matchBase: true }));
 
-  const filterFunc = (filePath) => {
-    if (file.exclude !== undefined && file.exclude.includes(filePath)) {
-      core.debug(`Excluding file ${filePath}`);
+// Like in a .gitignore, a pattern matching a directory also matches all files in it, and a pattern with a
+// trailing slash only matches directories
+const matchesAnyPath = (filePath, patterns) => {
+  const segments = filePath.split('/');
+  const directories = segments.slice(0, -1).map((_, index) => segments.slice(0, index + 1).join('/'));
+
+  return patterns.some((pattern) => {
+    const candidates = pattern.endsWith('/') ? directories : [...directories, filePath];
+    return candidates.some((candidate) => matchesAny(candidate, [pattern.replace(/\/+$/, '')]));
+  });
+};
+
+// Returns the source and destination path of every file the sync is responsible for, if it was written and if
+// it has merge conflicts. Destination files for which `isProtected` returns true are left as they are, and
+// `getMergeBase` returns the content to use as base of a three-way merge
+const copy = async (src, dest, isDirectory, file, context, env, { isProtected = () => false, getMergeBase } = {}) => {
+  if (!isDirectory) {
+    if (isProtected(dest)) return [{ src, dest, written: false }];
+
+    core.debug(`${file.template ? 'Render' : 'Copy'} file ${src} to ${dest}`);
+    const conflicts = await write(src, dest, file, context, env, getMergeBase);
+
+    return [{ src, dest, written: true, conflicts }];
+  }
+
+  // All patterns are relative to the source directory
+  const isSelected = (relativePath) => {
+    if (file.pattern !== undefined && !minimatch(relativePath, file.pattern, { dot: true })) {
+      return false;
+    }
+
+    if (file.include !== undefined && !matchesAnyPath(relativePath, file.include)) {
+      core.debug(`Not including file ${relativePath}`);
+      return false;
+    }
+
+    if (file.exclude !== undefined && matchesAnyPath(relativePath, file.exclude)) {
+      core.debug(`Excluding file ${relativePath}`);
       return false;
     }
 
     return true;
   };
 
-  if (file.template) {
-    if (isDirectory) {
-      core.debug(`Render all files in directory ${src} to ${dest}`);
+  const srcFileList = (await readfiles(src, { readContents: false, hidden: true })).filter(isSelected);
 
-      const srcFileList = await readfiles(src, { readContents: false, hidden: true });
-      for (const srcFile of srcFileList) {
-        if (!filterFunc(srcFile)) {
-          continue;
-        }
+  const synced = [];
 
-        const srcPath = path.join(src, srcFile);
-        const destPath = path.join(dest, srcFile);
-        await write(srcPath, destPath, file.template);
-      }
-    } else {
-      core.debug(`Render file ${src} to ${dest}`);
+  core.debug(`${file.template ? 'Render' : 'Copy'} ${srcFileList.length} file(s) in directory ${src} to ${dest}`);
+  for (const srcFile of srcFileList) {
+    const srcPath = path.join(src, srcFile);
+    const destPath = path.join(dest, srcFile);
+
+    if (file.replace === false && fs.existsSync(destPath)) {
+      core.debug(`File ${destPath} already exists in destination and 'replace' option is set to false`);
+      synced.push({ src: srcPath, dest: destPath, written: false });
+      continue;
+    }
 
-      await write(src, dest, file.template);
+    if (isProtected(destPath)) {
+      synced.push({ src: srcPath, dest: destPath, written: false });
+      continue;
     }
-  } else {
-    core.debug(`Copy ${src} to ${dest}`);
-    await fs.copy(src, dest, file.exclude !== undefined ? { filter: filterFunc } : {});
+
+    const conflicts = await write(srcPath, destPath, file, context, env, getMergeBase);
+    synced.push({ src: srcPath, dest: destPath, written: true, conflicts });
   }
 
-  // If it is a directory and deleteOrphaned is enabled - check if there are any files that were removed from source dir and remove them in destination dir
-  if (deleteOrphaned) {
-    const srcFileList = await readfiles(src, { readContents: false, hidden: true });
+  // If deleteOrphaned is enabled - check if there are any files that were removed from source dir and remove them in destination dir
+  if (file.deleteOrphaned && fs.existsSync(dest)) {
     const destFileList = await readfiles(dest, { readContents: false, hidden: true });
 
     for (const destFile of destFileList) {
-      if (srcFileList.indexOf(destFile) === -1) {
+      // Only files matching the patterns are owned by this sync, everything else is left untouched
+      if (srcFileList.indexOf(destFile) === -1 && isSelected(destFile)) {
         const filePath = path.join(dest, destFile);
         core.debug(`Found a orphaned file in the target repo - ${filePath}`);
-
-        if (file.exclude !== undefined && file.exclude.includes(path.join(src, destFile))) {
-          core.debug(`Excluding file ${destFile}`);
-        } else {
-          core.debug(`Removing file ${destFile}`);
-          await fs.remove(filePath);
-        }
+        core.debug(`Removing file ${destFile}`);
+        await fs.remove(filePath);
       }
     }
   }
+
+  return synced;
 };
 
 const remove = async (src) => {
@@ -114,4 +331,23 @@ const arrayEquals = (array1, array2) =>
   array1.length === array2.length &&
   array1.every((value, i) => value === array2[i]);
 
-export { forEach, addTrailingSlash, pathIsDirectory, execCmd, copy, remove, arrayEquals };
+export {
+  forEach,
+  forEachParallel,
+  createLock,
+  addTrailingSlash,
+  pathIsDirectory,
+  execCmd,
+  copy,
+  compose,
+  remove,
+  arrayEquals,
+  isGlob,
+  splitGlob,
+  globFiles,
+  matchesAny,
+  matchesAnyPath,
+  loadTemplateModule,
+  createTemplateEnvironment,
+  renderString,
+};
@@ -1,77 +1,415 @@
 import * as core from '@actions/core';
 import fs from 'fs';
+import path from 'path';
 
-import Git from './git.js';
-import { forEach, addTrailingSlash, pathIsDirectory, copy, remove, execCmd } from './helpers.js';
+import Git, { createOctokit, fetchRemoteSource } from './git.js';
+import {
+  forEach,
+  forEachParallel,
+  addTrailingSlash,
+  pathIsDirectory,
+  copy,
+  compose,
+  remove,
+  execCmd,
+  loadTemplateModule,
+  createTemplateEnvironment,
+  isGlob,
+  globFiles,
+} from './helpers.js';
 import {
   parseConfig,
-  PR_LABELS,
-  ASSIGNEES,
+  VALIDATE_ONLY,
+  CONFIG_PATH,
   TMP_DIR,
   FORK,
-  REVIEWERS,
-  TEAM_REVIEWERS,
-  AUTO_MERGE_MERGE_METHOD,
+  DRY_RUN,
+  DRY_RUN_OUTPUT,
+  MODE,
+  DRIFT_THRESHOLD,
+  MANIFEST_PATH,
+  MANIFEST_CLEANUP,
+  PARALLELISM,
+  GITHUB_REPOSITORY,
+  TEMPLATE_ROOT,
+  TEMPLATE_PARTIALS,
+  TEMPLATE_MODULE,
 } from './config.js';
 import * as github from '@actions/github';
+import { writeSummary, writeResults } from './report.js';
+import { filterAffectedRepos } from './changes.js';
+import { readManifest, findStaleFiles, updateManifest, hashFile } from './manifest.js';
+
+// The variables every template is rendered with, in addition to the ones of the file entry
+function getTemplateContext(git, commit) {
+  return {
+    target: {
+      host: git.repo.host,
+      user: git.repo.user,
+      name: git.repo.name,
+      branch: git.baseBranch,
+    },
+    source: {
+      repository: GITHUB_REPOSITORY,
+      sha: commit.sha,
+      message: commit.message,
+    },
+    date: new Date().toISOString().split('T')[0],
+  };
+}
+
+// Templates are looked up in the template root and partials directory of the source worktree. The
+// worktree itself is searched last so that templates outside of the template root can be rendered.
+function getTemplateSearchPaths(srcRepo) {
+  const searchPaths = [path.join(srcRepo, TEMPLATE_ROOT)];
+  if (TEMPLATE_PARTIALS !== undefined) searchPaths.push(path.join(srcRepo, TEMPLATE_PARTIALS));
+  searchPaths.push(srcRepo);
+
+  return searchPaths;
+}
+
+async function pathExists(dir, pattern) {
+  if (isGlob(pattern)) return (await globFiles(path.join(dir, pattern))).length > 0;
+
+  return fs.existsSync(path.join(dir, pattern));
+}
+
+// Checks the `when` conditions of a file against the target repository, all of them have to match
+async function matchesConditions(git, conditions) {
+  for (const condition of conditions) {
+    for (const pattern of condition.exists || []) {
+      if ((await pathExists(git.workingDir, pattern)) === false) return false;
+    }
+
+    for (const pattern of condition.absent || []) {
+      if ((await pathExists(git.workingDir, pattern)) === true) return false;
+    }
+
+    if (condition.language || condition.visibility) {
+      const repoInfo = await git.getRepoInfo();
+      const language = `${repoInfo.language}`.toLowerCase();
+
+      if (condition.language && !condition.language.some((value) => value.toLowerCase() === language)) return false;
+      if (condition.visibility && repoInfo.visibility !== condition.visibility) return false;
+    }
+  }
+
+  return true;
+}
 
-async function syncAndAddFile(git, file, destRepo) {
-  const fileExists = fs.existsSync(file.source);
-  if (fileExists === false) return core.warning(`Source ${file.source} not found`);
+// Returns the files changed in the target repo since they were last synced, according to the manifest
+async function findManualEdits(destRepo) {
+  const manifest = await readManifest(path.join(destRepo, MANIFEST_PATH));
+
+  const edited = new Set();
+  for (const [dest, entry] of Object.entries(manifest.files)) {
+    const destPath = path.join(destRepo, dest);
+    if (fs.existsSync(destPath) && (await hashFile(destPath, entry.block)) !== entry.sha256) edited.add(dest);
+  }
+
+  return edited;
+}
+
+// Composes a file from all of its fragments which exist in the source, see syncAndAddFile for the result
+async function syncComposedFile(git, file, srcRepo, destRepo, templateContext, templateEnv, manualEdits) {
+  const fragments = [];
+  for (const fragment of file.fragments) {
+    const remote = fragment.from && (await fetchRemoteSource(fragment.from));
+    const fragmentPath = path.join(remote ? remote.dir : srcRepo, fragment.source);
+
+    if (!fs.existsSync(fragmentPath) || (await pathIsDirectory(fragmentPath))) {
+      core.warning(`Fragment ${fragment.source} of ${file.dest} not found`);
+      continue;
+    }
+
+    fragments.push({
+      path: fragmentPath,
+      source: remote ? `${remote.repository}:${fragment.source}` : path.normalize(fragment.source),
+      template: fragment.template,
+    });
+  }
+
+  if (fragments.length === 0) return [];
+
+  const dest = path.normalize(file.dest);
+  const source = fragments.map((fragment) => fragment.source);
+  const localDestination = path.join(destRepo, dest);
+
+  if (fs.existsSync(localDestination) && file.replace === false) {
+    core.warning(`File already exists in destination and 'replace' option is set to false`);
+    return [{ source, dest, written: false }];
+  }
+
+  let manualEdit;
+  if (manualEdits.has(dest)) {
+    core.info(`${dest} was edited in the target repository since it was last synced`);
+    if (file.onManualEdit === 'skip') return [{ source, dest, written: false, manualEdit: 'skipped' }];
+    if (file.onManualEdit === 'warn') manualEdit = 'overwritten';
+  }
+
+  await compose(fragments, localDestination, file, templateContext, templateEnv);
+  await git.add(file.dest);
+
+  return [{ source, dest, written: true, manualEdit, block: file.block }];
+}
+
+// Returns the files the sync is responsible for, relative to the source and target repository. Files with
+// `manualEdits` are marked as `skipped` or `overwritten`, depending on the `onManualEdit` policy of the file
+async function syncAndAddFile(git, file, srcRepo, destRepo, templateContext, templateEnv, manualEdits = new Set()) {
+  if (file.delete) {
+    core.info(`Deleting ${file.dest}`);
+    await git.remove(file.dest);
+    return [];
+  }
+
+  if (file.fragments) {
+    return syncComposedFile(git, file, srcRepo, destRepo, templateContext, templateEnv, manualEdits);
+  }
+
+  // Files of other repositories are read from their own checkout
+  const remote = file.from && (await fetchRemoteSource(file.from));
+  if (remote) srcRepo = remote.dir;
+
+  const localSource = path.join(srcRepo, file.source);
+
+  const fileExists = fs.existsSync(localSource);
+  if (fileExists === false) {
+    core.warning(`Source ${file.source} not found`);
+    return [];
+  }
 
   const localDestination = `${destRepo}/${file.dest}`;
 
+  const isDirectory = await pathIsDirectory(localSource);
+
+  // Existing files in a synced directory are skipped one by one in copy()
   const destExists = fs.existsSync(localDestination);
-  if (destExists === true && file.replace === false)
-    return core.warning(`File(s) already exist(s) in destination and 'replace' option is set to false`);
+  if (destExists === true && file.replace === false && !isDirectory) {
+    core.warning(`File(s) already exist(s) in destination and 'replace' option is set to false`);
+    return [{ source: path.normalize(file.source), dest: path.normalize(file.dest), written: false }];
+  }
 
-  const isDirectory = await pathIsDirectory(file.source);
-  const source = isDirectory ? `${addTrailingSlash(file.source)}` : file.source;
+  const source = isDirectory ? `${addTrailingSlash(localSource)}` : localSource;
   const dest = isDirectory ? `${addTrailingSlash(localDestination)}` : localDestination;
 
   if (isDirectory) core.info(`Source is directory`);
 
-  await copy(source, dest, isDirectory, file);
+  const isEdited = (destPath) => manualEdits.has(path.relative(destRepo, destPath));
+  const isProtected = (destPath) => file.onManualEdit === 'skip' && isEdited(destPath);
+
+  // The base of a three-way merge is the source file as it was last synced to the target, according to the manifest
+  const manifest = MANIFEST_PATH ? await readManifest(path.join(destRepo, MANIFEST_PATH)) : { files: {} };
+  const getMergeBase = async (destPath) => {
+    const entry = manifest.files[path.relative(destRepo, destPath)];
+    if (entry === undefined || entry.repository !== GITHUB_REPOSITORY || entry.from || Array.isArray(entry.source)) {
+      return undefined;
+    }
+
+    return git.getSourceFileAt(entry.sha, entry.source);
+  };
+
+  const context = { ...templateContext, ...file.template };
+  const synced = await copy(source, dest, isDirectory, file, context, templateEnv, { isProtected, getMergeBase });
 
   await git.add(file.dest);
+
+  return synced.map((syncedFile) => {
+    const relativeDest = path.relative(destRepo, syncedFile.dest);
+
+    let manualEdit;
+    if (isEdited(syncedFile.dest)) {
+      core.info(`${relativeDest} was edited in the target repository since it was last synced`);
+      if (file.onManualEdit !== 'overwrite') manualEdit = syncedFile.written ? 'overwritten' : 'skipped';
+    }
+
+    return {
+      source: path.relative(srcRepo, syncedFile.src),
+      dest: relativeDest,
+      written: syncedFile.written,
+      conflicts: syncedFile.conflicts,
+      manualEdit,
+      from: remote && { repository: remote.repository, sha: remote.sha },
+      block: file.block,
+    };
+  });
+}
+
+// Deletes the files which are not synced anymore if enabled, and records the synced files in the manifest.
+// Returns the deleted files
+async function syncManifest(git, synced, sha) {
+  const deleted = MANIFEST_CLEANUP
+    ? await findStaleFiles(git.workingDir, MANIFEST_PATH, synced, GITHUB_REPOSITORY)
+    : [];
+
+  for (const dest of deleted) {
+    core.info(`Deleting ${dest}, it is not synced anymore`);
+    await git.remove(dest);
+  }
+
+  await updateManifest(git.workingDir, MANIFEST_PATH, synced, { repository: GITHUB_REPOSITORY, sha });
+
+  if (fs.existsSync(path.join(git.workingDir, MANIFEST_PATH))) await git.add(MANIFEST_PATH);
+
+  return deleted;
+}
+
+function formatFileList(files) {
+  return [...files].map((file) => `- \`${file}\``).join('\n');
+}
+
+// The result of a target repo, reported in the job summary and the `results` output
+function createResult(repo) {
+  return {
+    repo,
+    branch: repo.branch,
+    status: 'skipped',
+    pullRequest: undefined,
+    commits: [],
+    files: [],
+    error: undefined,
+  };
+}
+
+async function writeDryRunReport(reports) {
+  const content = reports
+    .map((report) => {
+      const header = `# ${report.repo}\n`;
+      if (report.closesPr !== undefined) {
+        return `${header}# PR #${report.closesPr} would be closed, the synced file(s) match the base branch\n`;
+      }
+      if (report.files.length === 0) return `${header}# No changes\n`;
+
+      const files = report.files.map((file) => `# ${file.status}\t${file.path}`).join('\n');
+      return `${header}${files}\n\n${report.diff}`;
+    })
+    .join('\n');
+
+  core.info(`Writing dry run report to ${DRY_RUN_OUTPUT}`);
+  await fs.promises.writeFile(DRY_RUN_OUTPUT, content);
 }
 
 async function run() {
   // Reuse octokit for each repo
-  const git = new Git();
+  const octokit = VALIDATE_ONLY ? undefined : createOctokit();
+
+  // Repository selectors of groups are resolved through the GitHub API, which needs a token
+  const lookup = octokit && new Git(octokit);
+  const { repos, configFiles } = await parseConfig(lookup && ((selector) => lookup.findRepos(selector)));
 
-  const repos = await parseConfig();
+  if (VALIDATE_ONLY) {
+    core.info(`${CONFIG_PATH} is valid, found ${repos.length} target repositories`);
+    return;
+  }
+
+  const templateModule = await loadTemplateModule(TEMPLATE_MODULE);
 
   const prUrls = [];
+  const dryRunReports = [];
+  const results = [];
 
   core.startGroup(`START - github.context.payload :`);
   core.debug(JSON.stringify(github.context.payload, null, 2));
   core.endGroup();
 
-  await forEach(repos, async (item) => {
+  // Targets whose source files were not changed by the push are not cloned at all. Checking for drift
+  // has to look at every target, as they can change independently of the source repository
+  const affectedRepos = MODE === 'check' ? repos : await filterAffectedRepos(repos, configFiles);
+  for (const item of repos) {
+    if (!affectedRepos.includes(item)) results.push(createResult(item.repo));
+  }
+
+  await forEachParallel(affectedRepos, PARALLELISM, async (item) => {
+    // Each repo gets its own instance, as it holds the state of the repo being synced
+    const git = new Git(octokit);
+
     core.info(`Repository Info`);
     core.info(`Repo Name    : ${item.repo.name}`);
     core.info(`Repo Owner	: ${item.repo.user}`);
     core.info(`Repo Branch	: ${item.repo.branch}`);
     core.info(`Https Url	: https://${item.repo.fullName}`);
     core.info('	');
+
+    const result = createResult(item.repo);
+    results.push(result);
+
     try {
       // Clone and setup the git repository locally
       await git.initRepo(item.repo);
+      result.branch = git.baseBranch;
+
+      // The conditions are checked against the base branch, before any file is synced
+      const files = [];
+      for (const file of item.files) {
+        if (!(await matchesConditions(git, file.when))) {
+          core.info(`Skipping ${file.source || file.dest}, its conditions don't match this repository`);
+          continue;
+        }
+
+        if (!file.fragments) {
+          files.push(file);
+          continue;
+        }
+
+        // Fragments can have conditions of their own, a composed file without any matching fragment is skipped
+        const fragments = [];
+        for (const fragment of file.fragments) {
+          if (await matchesConditions(git, fragment.when)) fragments.push(fragment);
+        }
+
+        if (fragments.length > 0) {
+          files.push({ ...file, fragments });
+        } else {
+          core.info(`Skipping ${file.dest}, none of its fragments match this repository`);
+        }
+      }
+
+      if (files.length === 0) {
+        core.info(`No file(s) to sync to this repository`);
+        return;
+      }
 
-      const SRC_REPO = './';
+      const SRC_REPO = git.sourceDir;
       const DST_REPO = git.workingDir;
 
+      // Like the conditions, manual edits are detected on the base branch
+      const manualEdits = MANIFEST_PATH ? await findManualEdits(DST_REPO) : new Set();
+      const skippedEdits = new Set();
+      const overwrittenEdits = new Set();
+      const conflicts = new Set();
+
+      const templateEnv = createTemplateEnvironment(getTemplateSearchPaths(SRC_REPO), templateModule);
+
+      // Only compare the current state of the source repository to the base branch of the target
+      if (MODE === 'check') {
+        const templateContext = getTemplateContext(git, await git.getCommitShaAndMessage('HEAD', SRC_REPO));
+
+        await forEach(files, async (file) => {
+          await syncAndAddFile(git, file, SRC_REPO, DST_REPO, templateContext, templateEnv);
+        });
+
+        result.files = await git.getStagedFiles();
+        result.status = result.files.length > 0 ? 'drifted' : 'in-sync';
+
+        core.info(`Found ${result.files.length} drifted file(s) in ${item.repo.uniqueName}`);
+        for (const file of result.files) {
+          core.info(`${file.status}\t${file.path}`);
+        }
+        return;
+      }
+
       // Determine the branch name we will use
-      await git.reservePrBranchName();
+      await git.reservePrBranchName(item.settings.branchPrefix);
 
       const existingPr = await git.findExistingPr();
+      if (existingPr) {
+        result.pullRequest = { number: existingPr.number, url: existingPr.html_url };
+      }
 
       // Create & checkout a branch for the PR
       await git.createPrBranch(existingPr);
 
       // Set a warning in the PR, if one exists.
-      await git.setPrWarning();
+      if (!DRY_RUN) await git.setPrWarning();
 
       core.info(`Locally syncing file(s) between source and target repository`);
 
@@ -84,7 +422,7 @@ async function run() {
       if (github.context.payload?.forced || github.context.payload?.commits?.length > 1) {
         // let fetchDepth = Math.max(existingPrCommitsLength, github.context.payload.commits.length)
         const fetchDepth = existingPrCommitsLength + github.context.payload.commits.length;
-        await git.deepenCheckout(fetchDepth, SRC_REPO);
+        await git.deepenSourceCheckout(fetchDepth);
         await git.deepenCheckout(fetchDepth, DST_REPO);
       }
 
@@ -136,18 +474,34 @@ async function run() {
       core.debug(JSON.stringify(iterator, null, 2));
 
       const modified = [];
+      const cleanedUp = new Set();
       await forEach(iterator, async (commit) => {
         await git.checkout(commit.sha, SRC_REPO, false);
 
+        const templateContext = getTemplateContext(git, commit);
+
         // Loop through all selected files of the source repo, copying to destination repo
-        await forEach(item.files, async (file) => {
-          await syncAndAddFile(git, file, DST_REPO);
+        const synced = [];
+        await forEach(files, async (file) => {
+          synced.push(
+            ...(await syncAndAddFile(git, file, SRC_REPO, DST_REPO, templateContext, templateEnv, manualEdits))
+          );
         });
 
+        for (const syncedFile of synced) {
+          if (syncedFile.manualEdit === 'skipped') skippedEdits.add(syncedFile.dest);
+          if (syncedFile.manualEdit === 'overwritten') overwrittenEdits.add(syncedFile.dest);
+          if (syncedFile.conflicts) conflicts.add(syncedFile.dest);
+        }
+
+        if (MANIFEST_PATH) {
+          for (const dest of await syncManifest(git, synced, commit.sha)) cleanedUp.add(dest);
+        }
+
         // If no changes left and nothing was modified we can assume nothing has changed/needs to be pushed
         if ((await git.hasChanges()) === false) {
           core.info('File(s) already up to date!');
-          await git.removePrWarning();
+          if (!DRY_RUN) await git.removePrWarning();
           return;
         }
 
@@ -158,26 +512,73 @@ async function run() {
           /\(#([0-9]+)\)/g,
           `${github.context.payload.repository.html_url}/pull/$1`
         );
-        await git.commit(commitMessage);
+        const sha = await git.commit(commitMessage);
         modified.push({
           dest: DST_REPO,
           commitMessage,
+          sha,
         });
       });
 
+      result.commits = modified.map((commit) => commit.sha);
+
+      // If the synced files of an existing PR no longer differ from the base branch (e.g. they
+      // were fixed by hand, or the source change was reverted), the PR is not needed anymore
+      // Files deleted by MANIFEST_CLEANUP are not part of `files`. Deletions of earlier runs are already on the
+      // PR branch, but still show up as changes to the manifest
+      const prPaths = [...files.map((file) => file.dest), ...cleanedUp, ...(MANIFEST_PATH ? [MANIFEST_PATH] : [])];
+      if (existingPr && (await git.hasChangesAgainstBase(prPaths)) === false) {
+        if (DRY_RUN) {
+          core.info(`Dry run enabled, not closing PR #${existingPr.number} which is no longer needed`);
+          result.status = 'dry-run';
+          dryRunReports.push({ repo: item.repo.uniqueName, files: [], diff: '', closesPr: existingPr.number });
+          return;
+        }
+
+        core.info(`Synced file(s) match the base branch, closing PR #${existingPr.number}`);
+        await git.removePrWarning();
+        await git.closePr();
+
+        result.status = 'closed';
+        result.commits = [];
+        return;
+      }
+
+      if (DRY_RUN) {
+        const changedFiles = await git.getChangedFiles();
+        const diff = await git.getDiff();
+        result.status = 'dry-run';
+        result.files = changedFiles;
+
+        core.startGroup(`Dry run: ${changedFiles.length} file(s) would change in ${item.repo.uniqueName}`);
+        for (const file of changedFiles) {
+          core.info(`${file.status}\t${file.path}`);
+        }
+        core.info(diff);
+        core.endGroup();
+
+        dryRunReports.push({ repo: item.repo.uniqueName, files: changedFiles, diff });
+
+        core.info(`Dry run enabled, not pushing changes or opening a PR for ${item.repo.name}`);
+        return;
+      }
+
       if (modified.length === 0) {
+        if (skippedEdits.size > 0) {
+          core.warning(
+            `Not updating manually edited file(s) in ${item.repo.uniqueName}: ${[...skippedEdits].join(', ')}`
+          );
+        }
+
         core.info('No specified files needed modification. Complete!');
+        result.status = 'up-to-date';
         return;
       }
 
-      // TODO(ChrisCarini) - Check if any files have changed in `git` and if not:
-      //  	1) Skip the push
-      //  	2) Delete the branch
-      //  	3) Close the PR
-      // EXAMPLE(s):
-      //		- https://github.com/ChrisCarini/sample-intellij-plugin/pull/409
+      result.files = await git.getChangedFiles();
+
       core.info(`Pushing changes to target repository`);
-      await git.push();
+      result.commits = await git.push();
 
       const commitMessages = [];
       if (github.context.payload.forced) {
@@ -205,52 +606,74 @@ async function run() {
         }
       }
 
-      const pullRequest = await git.createOrUpdatePr(commitMessages);
+      const warnings = [];
+      if (overwrittenEdits.size > 0) {
+        warnings.push(
+          `The following file(s) were edited in this repository since they were last synced, merging this PR overwrites those changes:\n\n${formatFileList(overwrittenEdits)}`
+        );
+      }
+
+      if (conflicts.size > 0) {
+        warnings.push(
+          `The following file(s) have conflicts between the changes in this repository and the synced changes. Resolve the conflict markers before merging this PR:\n\n${formatFileList(conflicts)}`
+        );
+      }
+
+      const pullRequest = await git.createOrUpdatePr(commitMessages, result.files, warnings);
+
+      if (skippedEdits.size > 0) {
+        await git.setPrComment(
+          'skipped',
+          `The following file(s) were edited in this repository since they were last synced, so they were not updated:\n\n${formatFileList(skippedEdits)}`
+        );
+      }
+
+      const { prLabels, assignees, reviewers, teamReviewers, autoMergeMergeMethod } = item.settings;
 
-      if (PR_LABELS !== undefined && PR_LABELS.length > 0 && !FORK) {
-        core.info(`Adding label(s) "${PR_LABELS.join(', ')}" to PR`);
+      if (prLabels !== undefined && prLabels.length > 0 && !FORK) {
+        core.info(`Adding label(s) "${prLabels.join(', ')}" to PR`);
         try {
-          await git.addPrLabels(PR_LABELS);
+          await git.addPrLabels(prLabels);
         } catch (err) {
-          core.warning(`Failed to add label(s) "${PR_LABELS.join(', ')}" to PR`);
+          core.warning(`Failed to add label(s) "${prLabels.join(', ')}" to PR`);
           core.warning(err.message);
         }
       }
 
-      if (ASSIGNEES !== undefined && ASSIGNEES.length > 0 && !FORK) {
-        core.info(`Adding assignee(s) "${ASSIGNEES.join(', ')}" to PR`);
+      if (assignees !== undefined && assignees.length > 0 && !FORK) {
+        core.info(`Adding assignee(s) "${assignees.join(', ')}" to PR`);
         try {
-          await git.addPrAssignees(ASSIGNEES);
+          await git.addPrAssignees(assignees);
         } catch (err) {
-          core.warning(`Failed to add assignee(s) "${ASSIGNEES.join(', ')}" to PR`);
+          core.warning(`Failed to add assignee(s) "${assignees.join(', ')}" to PR`);
           core.warning(err.message);
         }
       }
 
-      if (REVIEWERS !== undefined && REVIEWERS.length > 0 && !FORK) {
-        core.info(`Adding reviewer(s) "${REVIEWERS.join(', ')}" to PR`);
+      if (reviewers !== undefined && reviewers.length > 0 && !FORK) {
+        core.info(`Adding reviewer(s) "${reviewers.join(', ')}" to PR`);
         try {
-          await git.addPrReviewers(REVIEWERS);
+          await git.addPrReviewers(reviewers);
         } catch (err) {
-          core.warning(`Failed to add reviewer(s) "${REVIEWERS.join(', ')}" to PR`);
+          core.warning(`Failed to add reviewer(s) "${reviewers.join(', ')}" to PR`);
           core.warning(err.message);
         }
       }
 
-      if (TEAM_REVIEWERS !== undefined && TEAM_REVIEWERS.length > 0 && !FORK) {
-        core.info(`Adding team reviewer(s) "${TEAM_REVIEWERS.join(', ')}" to PR`);
+      if (teamReviewers !== undefined && teamReviewers.length > 0 && !FORK) {
+        core.info(`Adding team reviewer(s) "${teamReviewers.join(', ')}" to PR`);
         try {
-          await git.addPrTeamReviewers(TEAM_REVIEWERS);
+          await git.addPrTeamReviewers(teamReviewers);
         } catch (err) {
-          core.warning(`Failed to add team reviewer(s) "${TEAM_REVIEWERS.join(', ')}" to PR`);
+          core.warning(`Failed to add team reviewer(s) "${teamReviewers.join(', ')}" to PR`);
           core.warning(err.message);
         }
       }
 
-      if (AUTO_MERGE_MERGE_METHOD !== undefined) {
+      if (autoMergeMergeMethod !== undefined) {
         try {
           core.info(`Enabling auto-merge on PR`);
-          await git.enablePrAutoMerge(AUTO_MERGE_MERGE_METHOD);
+          await git.enablePrAutoMerge(autoMergeMergeMethod);
         } catch (err) {
           core.warning(`Failed to enable auto-merge on PR`);
           core.warning(err.message);
@@ -259,9 +682,13 @@ async function run() {
 
       core.notice(`Pull Request #${pullRequest.number} ${existingPr ? 'updated' : 'created'}: ${pullRequest.html_url}`);
       prUrls.push(pullRequest.html_url);
+      result.status = existingPr ? 'updated' : 'created';
+      result.pullRequest = { number: pullRequest.number, url: pullRequest.html_url };
 
       core.info(`Completed repo: ${item.repo.name}`);
     } catch (err) {
+      result.status = 'failed';
+      result.error = err.message;
       core.setFailed(err.message);
       core.debug(err);
     }
@@ -272,8 +699,31 @@ async function run() {
     core.setOutput('pull_request_urls', prUrls);
   }
 
+  if (DRY_RUN) {
+    await writeDryRunReport(dryRunReports);
+  }
+
+  await writeSummary(results);
+  await writeResults(results);
+
+  if (MODE === 'check') {
+    const driftedFiles = results.reduce(
+      (count, result) => count + (result.status === 'drifted' ? result.files.length : 0),
+      0
+    );
+    const driftedRepos = results.filter((result) => result.status === 'drifted').length;
+
+    core.setOutput('drifted_files', driftedFiles);
+    core.info(`Found ${driftedFiles} drifted file(s) in ${driftedRepos} target repositories`);
+
+    if (driftedFiles > DRIFT_THRESHOLD) {
+      core.setFailed(`Found ${driftedFiles} drifted file(s), more than the DRIFT_THRESHOLD of ${DRIFT_THRESHOLD}`);
+    }
+  }
+
   core.debug(`Cleaning up ${TMP_DIR}`);
   await remove(TMP_DIR);
+  await execCmd(`git worktree prune`);
 }
 
 (async () => {
@@ -0,0 +1,98 @@
+import * as core from '@actions/core';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+import { arrayEquals } from './helpers.js';
+import { extractBlock } from './merge.js';
+
+const MANIFEST_VERSION = 1;
+
+// Only the block of a file synced with `block` is hashed, the rest of the file belongs to the target repo
+const hashFile = async (filePath, block) => {
+  const content = await fs.readFile(filePath);
+
+  return crypto
+    .createHash('sha256')
+    .update(block === undefined ? content : extractBlock(content.toString(), block) || '')
+    .digest('hex');
+};
+
+const readManifest = async (manifestPath) => {
+  if (!fs.existsSync(manifestPath)) return { version: MANIFEST_VERSION, files: {} };
+
+  try {
+    const manifest = await fs.readJson(manifestPath);
+    return { version: MANIFEST_VERSION, files: manifest.files || {} };
+  } catch (err) {
+    throw new Error(`Unable to parse manifest ${manifestPath}: ${err.message}`);
+  }
+};
+
+// Composed files record the sources of all of their fragments
+const sameSource = (a, b) => (Array.isArray(a) ? arrayEquals(a, b) : a === b);
+
+// Returns the files synced from `repository` before, which the sync is not responsible for anymore
+const findStaleFiles = async (destRepo, manifestPath, syncedFiles, repository) => {
+  const manifest = await readManifest(path.join(destRepo, manifestPath));
+  const synced = new Set(syncedFiles.map((file) => file.dest));
+
+  return Object.entries(manifest.files)
+    .filter(([dest, entry]) => entry.repository === repository && !synced.has(dest))
+    .map(([dest]) => dest);
+};
+
+// Records the source of each written file in the manifest of the target repo. An entry only changes together
+// with the content of its file, so the manifest doesn't change if nothing else does. Files read from another
+// repository are recorded with that repository and commit in `from`
+const updateManifest = async (destRepo, manifestPath, syncedFiles, { repository, sha }) => {
+  const fullPath = path.join(destRepo, manifestPath);
+  const exists = fs.existsSync(fullPath);
+  const manifest = await readManifest(fullPath);
+
+  for (const file of syncedFiles) {
+    const destPath = path.join(destRepo, file.dest);
+    if (!file.written || !fs.existsSync(destPath)) continue;
+
+    const block = file.block && { begin: file.block.begin, end: file.block.end };
+    const sha256 = await hashFile(destPath, block);
+    const entry = manifest.files[file.dest];
+    if (
+      entry?.sha256 === sha256 &&
+      sameSource(entry.source, file.source) &&
+      entry.repository === repository &&
+      entry.from?.repository === file.from?.repository &&
+      entry.block?.begin === block?.begin &&
+      entry.block?.end === block?.end
+    ) {
+      continue;
+    }
+
+    core.debug(`Recording ${file.dest} in manifest`);
+    manifest.files[file.dest] = {
+      source: file.source,
+      repository,
+      sha,
+      ...(file.from && { from: file.from }),
+      ...(block && { block }),
+      sha256,
+    };
+  }
+
+  // Files deleted in the target are removed from the manifest as well
+  for (const dest of Object.keys(manifest.files)) {
+    if (!fs.existsSync(path.join(destRepo, dest))) delete manifest.files[dest];
+  }
+
+  if (!exists && Object.keys(manifest.files).length === 0) return;
+
+  const files = Object.fromEntries(
+    Object.keys(manifest.files)
+      .sort()
+      .map((dest) => [dest, manifest.files[dest]])
+  );
+
+  await fs.outputFile(fullPath, `${JSON.stringify({ version: MANIFEST_VERSION, files }, null, 2)}\n`);
+};
+
+export { readManifest, findStaleFiles, updateManifest, hashFile };
@@ -0,0 +1,220 @@
+import { isDeepStrictEqual, promisify } from 'util';
+import { execFile } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { load as yamlLoad } from 'js-yaml';
+import { parse as jsoncParse, modify, applyEdits, printParseErrorCode } from 'jsonc-parser';
+import { parseDocument } from 'yaml';
+
+const MERGE_FORMATS = ['json', 'yaml'];
+const MERGE_ARRAYS = ['replace', 'unique'];
+const MERGE_PRECEDENCE = ['source', 'target'];
+const BLOCK_POSITIONS = ['top', 'bottom'];
+const STRATEGIES = ['replace', 'three-way'];
+
+const execFileAsync = promisify(execFile);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deep merges the synced `source` value into the existing `target` value. Keys keep the order of
+// `target`, new keys are added at the end. On conflicting values `precedence` decides which one is kept.
+const deepMerge = (target, source, options) => {
+  if (isPlainObject(target) && isPlainObject(source)) {
+    const result = { ...target };
+    for (const key of Object.keys(source)) {
+      result[key] = key in target ? deepMerge(target[key], source[key], options) : source[key];
+    }
+    return result;
+  }
+
+  // Only adding the items which are not in the array yet keeps the merge idempotent
+  if (Array.isArray(target) && Array.isArray(source)) {
+    if (options.arrays === 'unique') {
+      return [...target, ...source.filter((value) => !target.some((existing) => isDeepStrictEqual(existing, value)))];
+    }
+  }
+
+  return options.precedence === 'target' ? target : source;
+};
+
+// Returns the values of `merged` which differ from `target` with their key path, descending into maps which
+// exist in both. New keys have `added` set, and items added to the end of an array are returned one by one
+// with `append` set
+const findChanges = (target, merged, keyPath = []) => {
+  if (isPlainObject(target) && isPlainObject(merged)) {
+    return Object.keys(merged).flatMap((key) =>
+      key in target
+        ? findChanges(target[key], merged[key], [...keyPath, key])
+        : [{ keyPath: [...keyPath, key], value: merged[key], added: true }]
+    );
+  }
+
+  if (
+    Array.isArray(target) &&
+    Array.isArray(merged) &&
+    merged.length > target.length &&
+    isDeepStrictEqual(merged.slice(0, target.length), target)
+  ) {
+    return merged.slice(target.length).map((value) => ({ keyPath, value, append: true }));
+  }
+
+  return isDeepStrictEqual(target, merged) ? [] : [{ keyPath, value: merged }];
+};
+
+// Returns the indentation used by the first indented line of a JSON document
+const detectIndent = (content) => content.match(/^[ \t]+(?=")/m)?.[0] || '  ';
+
+// Files like tsconfig.json often contain comments and trailing commas, so JSON is parsed as JSONC
+const parseJson = (content) => {
+  const errors = [];
+  const value = jsoncParse(content, errors, { allowTrailingComma: true });
+
+  if (errors.length > 0) {
+    throw new Error(`${printParseErrorCode(errors[0].error)} at offset ${errors[0].offset}`);
+  }
+
+  return value;
+};
+
+// The destination file is parsed as a document, so that its comments and formatting can be kept
+const parseYamlDocument = (content) => {
+  const doc = parseDocument(content);
+  if (doc.errors.length > 0) throw new Error(doc.errors[0].message);
+
+  return doc;
+};
+
+const parse = (content, format, name) => {
+  try {
+    return format === 'json' ? parseJson(content) : yamlLoad(content);
+  } catch (err) {
+    throw new Error(`Unable to parse ${name} as ${format}: ${err.message}`);
+  }
+};
+
+// Only the changed values are edited in the destination file, which keeps its comments and formatting
+const applyJsonChanges = (content, changes) => {
+  const indent = detectIndent(content);
+  const formattingOptions = { insertSpaces: !indent.includes('\t'), tabSize: indent.length, eol: '\n' };
+
+  return changes.reduce((result, { keyPath, value, added, append }) => {
+    // Replacing a single value is done in place, formatting the edit would also reformat the surrounding map
+    const isInPlace = !added && !append && (value === null || typeof value !== 'object');
+
+    const edits = append
+      ? modify(result, [...keyPath, -1], value, { formattingOptions, isArrayInsertion: true })
+      : modify(result, keyPath, value, isInPlace ? {} : { formattingOptions });
+
+    return applyEdits(result, edits);
+  }, content);
+};
+
+const applyYamlChanges = (doc, changes) => {
+  for (const { keyPath, value, append } of changes) {
+    if (append) {
+      doc.addIn(keyPath, doc.createNode(value));
+    } else if (keyPath.length === 0) {
+      doc.contents = doc.createNode(value);
+    } else {
+      doc.setIn(keyPath, doc.createNode(value));
+    }
+  }
+
+  return doc.toString({ lineWidth: 0 });
+};
+
+// Merges the synced `sourceContent` into the existing `targetContent` of a destination file
+const mergeContent = (targetContent, sourceContent, options) => {
+  if (targetContent.trim() === '') return sourceContent;
+
+  const source = parse(sourceContent, options.format, 'source file');
+
+  if (options.format === 'json') {
+    const target = parse(targetContent, options.format, 'destination file');
+    return applyJsonChanges(targetContent, findChanges(target, deepMerge(target, source, options)));
+  }
+
+  let doc;
+  try {
+    doc = parseYamlDocument(targetContent);
+  } catch (err) {
+    throw new Error(`Unable to parse destination file as yaml: ${err.message}`);
+  }
+
+  const target = doc.toJS();
+  return applyYamlChanges(doc, findChanges(target, deepMerge(target, source, options)));
+};
+
+// Returns the lines between the `begin` and `end` marker lines of `content`, or undefined without markers
+const extractBlock = (content, { begin, end }) => {
+  const lines = content.split('\n');
+  const beginIndex = lines.findIndex((line) => line.trim() === begin);
+  const endIndex = lines.findIndex((line, index) => index > beginIndex && line.trim() === end);
+
+  if (beginIndex === -1 || endIndex === -1) return undefined;
+
+  return lines.slice(beginIndex + 1, endIndex).join('\n');
+};
+
+// Replaces the lines between the `begin` and `end` marker lines of `targetContent` with `blockContent`.
+// Everything outside of the markers is kept. If the markers don't exist yet, they are added at `position`.
+const replaceBlock = (targetContent, blockContent, { begin, end, position }) => {
+  const block = [begin, ...(blockContent === '' ? [] : blockContent.replace(/\n$/, '').split('\n')), end];
+
+  const lines = targetContent.split('\n');
+  const beginIndex = lines.findIndex((line) => line.trim() === begin);
+
+  if (beginIndex !== -1) {
+    const endIndex = lines.findIndex((line, index) => index > beginIndex && line.trim() === end);
+    if (endIndex === -1) throw new Error(`Found block start "${begin}" but no block end "${end}" in destination file`);
+
+    lines.splice(beginIndex, endIndex - beginIndex + 1, ...block);
+    return lines.join('\n');
+  }
+
+  if (targetContent.trim() === '') return `${block.join('\n')}\n`;
+
+  if (position === 'top') return `${block.join('\n')}\n\n${targetContent}`;
+
+  return `${targetContent.replace(/\n*$/, '\n')}\n${block.join('\n')}\n`;
+};
+
+// Merges the changes between `baseContent` and `sourceContent` into `targetContent` with `git merge-file`.
+// Conflicting changes are written with conflict markers, and `conflicts` is set to true
+const mergeThreeWay = async (targetContent, baseContent, sourceContent) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'repo-file-sync-'));
+
+  try {
+    const files = { target: targetContent, base: baseContent, source: sourceContent };
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, name), content);
+    }
+
+    const args = ['merge-file', '-p', '-L', 'target', '-L', 'last synced', '-L', 'source', 'target', 'base', 'source'];
+
+    try {
+      const { stdout } = await execFileAsync('git', args, { cwd: dir, maxBuffer: 1024 * 1024 * 4 });
+      return { content: stdout, conflicts: false };
+    } catch (err) {
+      // The exit code is the number of conflicts, negative ones are errors
+      if (err.code > 0 && err.code < 128) return { content: err.stdout, conflicts: true };
+
+      throw new Error(`Unable to merge file: ${err.message}`);
+    }
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+export {
+  MERGE_FORMATS,
+  MERGE_ARRAYS,
+  MERGE_PRECEDENCE,
+  BLOCK_POSITIONS,
+  STRATEGIES,
+  mergeContent,
+  extractBlock,
+  replaceBlock,
+  mergeThreeWay,
+};
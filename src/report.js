@@ -0,0 +1,92 @@
+import * as core from '@actions/core';
+import fs from 'fs-extra';
+
+import { RESULTS_OUTPUT } from './config.js';
+
+const STATUS_EMOJI = {
+  created: ':sparkles:',
+  updated: ':arrows_counterclockwise:',
+  'up-to-date': ':white_check_mark:',
+  closed: ':wastebasket:',
+  'dry-run': ':mag:',
+  'in-sync': ':white_check_mark:',
+  drifted: ':warning:',
+  skipped: ':fast_forward:',
+  failed: ':x:',
+};
+
+const writeSummary = async (results) => {
+  // The summary file is only available when running inside of GitHub Actions
+  if (!process.env.GITHUB_STEP_SUMMARY) {
+    core.debug('GITHUB_STEP_SUMMARY not set, skipping job summary');
+    return;
+  }
+
+  const rows = results.map((result) => [
+    `<a href="https://${result.repo.fullName}">${result.repo.user}/${result.repo.name}</a>`,
+    result.branch,
+    `${STATUS_EMOJI[result.status]} ${result.status}`,
+    result.pullRequest ? `<a href="${result.pullRequest.url}">#${result.pullRequest.number}</a>` : '',
+    `${result.commits.length}`,
+    `${result.files.length}`,
+  ]);
+
+  const failed = results.filter((result) => result.status === 'failed');
+
+  core.summary.addHeading('Repo File Sync').addTable([
+    [
+      { data: 'Repository', header: true },
+      { data: 'Branch', header: true },
+      { data: 'Status', header: true },
+      { data: 'Pull Request', header: true },
+      { data: 'Commits', header: true },
+      { data: 'Files Changed', header: true },
+    ],
+    ...rows,
+  ]);
+
+  const drifted = results.filter((result) => result.status === 'drifted');
+  if (drifted.length > 0) {
+    core.summary.addHeading('Drift', 3);
+    for (const result of drifted) {
+      core.summary
+        .addRaw(`<b>${result.repo.uniqueName}</b>`, true)
+        .addList(result.files.map((file) => `<code>${file.status}</code> ${file.path}`));
+    }
+  }
+
+  if (failed.length > 0) {
+    core.summary
+      .addHeading('Failures', 3)
+      .addList(failed.map((result) => `${result.repo.uniqueName}: ${result.error}`));
+  }
+
+  await core.summary.write();
+};
+
+const filesByStatus = (files, status) => files.filter((file) => file.status === status).map((file) => file.path);
+
+const writeResults = async (results) => {
+  const output = results.map((result) => ({
+    repository: result.repo.uniqueName,
+    branch: result.branch,
+    status: result.status,
+    pullRequest: result.pullRequest,
+    commits: result.commits,
+    files: {
+      added: filesByStatus(result.files, 'A'),
+      modified: filesByStatus(result.files, 'M').concat(filesByStatus(result.files, 'T')),
+      deleted: filesByStatus(result.files, 'D'),
+    },
+    error: result.error,
+  }));
+
+  core.setOutput('results', output);
+
+  if (RESULTS_OUTPUT) {
+    core.info(`Writing results to ${RESULTS_OUTPUT}`);
+    await fs.outputJson(RESULTS_OUTPUT, output, { spaces: 2 });
+  }
+};
+
+export { writeSummary, writeResults };
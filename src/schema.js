@@ -0,0 +1,336 @@
+import { parseDocument, visit, LineCounter, isAlias, isMap, isSeq, isScalar } from 'yaml';
+
+import { MERGE_FORMATS, MERGE_ARRAYS, MERGE_PRECEDENCE, BLOCK_POSITIONS, STRATEGIES } from './merge.js';
+
+// Matches `user/repo`, `user/repo@branch` and `https://host/user/repo@branch`
+const REPO_NAME_REGEX = /^(https?:\/\/[^/\s]+\/)?[\w.-]+\/[\w.-]+(@\S+)?$/;
+
+const kindOf = (node) => {
+  if (isMap(node)) return 'map';
+  if (isSeq(node)) return 'list';
+  if (isScalar(node) && node.value !== null) return typeof node.value;
+  return 'null';
+};
+
+// A schema type accepts nodes of one kind and can run additional checks on them
+const type = (kind, description, check = () => []) => ({ kind, description, check });
+
+const error = (node, message) => ({ node, message });
+
+const string = type('string', 'a string');
+const boolean = type('boolean', 'a boolean');
+const disabled = type('boolean', 'false', (node, path) =>
+  node.value === false ? [] : [error(node, `${path} can only be set to false`)]
+);
+const anyMap = type('map', 'a map');
+
+const oneOf = (values, { ignoreCase = false } = {}) =>
+  type('string', `one of: ${values.join(', ')}`, (node, path) =>
+    values.includes(ignoreCase ? node.value.toLowerCase() : node.value)
+      ? []
+      : [error(node, `${path} must be one of: ${values.join(', ')}`)]
+  );
+
+const repoName = type('string', 'a repository name', (node, path) =>
+  REPO_NAME_REGEX.test(node.value.trim())
+    ? []
+    : [error(node, `${path} "${node.value}" is not a valid repository, expected the format user/repo[@branch]`)]
+);
+
+// Validates a node against one or multiple alternative types
+const validate = (schema, node, path) => {
+  const types = Array.isArray(schema) ? schema : [schema];
+  const candidates = types.filter((candidate) => candidate.kind === kindOf(node));
+
+  if (candidates.length === 0) {
+    return [error(node, `${path} must be ${types.map((candidate) => candidate.description).join(' or ')}`)];
+  }
+
+  // If no alternative matches, the errors of the closest one are reported
+  let errors;
+  for (const candidate of candidates) {
+    const candidateErrors = candidate.check(node, path);
+    if (candidateErrors.length === 0) return [];
+
+    if (!errors || candidateErrors.length < errors.length) errors = candidateErrors;
+  }
+
+  return errors;
+};
+
+const listOf = (schema) =>
+  type('list', 'a list', (node, path) =>
+    node.items.flatMap((item, index) => validate(schema, item, `${path}[${index}]`))
+  );
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Finds the known key that was most likely meant, e.g. `exclude` for `exlude` or `deleteOrphaned` for `delete_orphaned`
+const suggestKey = (key, knownKeys) => {
+  const normalize = (value) => value.toLowerCase().replace(/[-_]/g, '');
+
+  return knownKeys.find((knownKey) => normalize(knownKey) === normalize(key) || levenshtein(knownKey, key) <= 2);
+};
+
+// A map with known keys, unknown keys are reported as errors
+const object = (properties, { required = [], check = () => [] } = {}) =>
+  type('map', 'a map', (node, path) => {
+    const errors = [];
+    const keys = node.items.map((pair) => pair.key?.value);
+
+    for (const pair of node.items) {
+      const key = pair.key?.value;
+
+      if (properties[key] === undefined) {
+        const suggestion = suggestKey(`${key}`, Object.keys(properties));
+        errors.push(
+          error(pair.key, `Unknown key "${key}" in ${path}${suggestion ? `, did you mean "${suggestion}"?` : ''}`)
+        );
+        continue;
+      }
+
+      errors.push(...validate(properties[key], pair.value, `${path}.${key}`));
+    }
+
+    for (const key of required) {
+      if (!keys.includes(key)) errors.push(error(node, `${path} is missing the required key "${key}"`));
+    }
+
+    return errors.concat(check(node, path));
+  });
+
+const patterns = [string, listOf(string)];
+
+const mergeOptions = [
+  oneOf(MERGE_FORMATS),
+  object(
+    {
+      format: oneOf(MERGE_FORMATS),
+      arrays: oneOf(MERGE_ARRAYS),
+      precedence: oneOf(MERGE_PRECEDENCE),
+    },
+    { required: ['format'] }
+  ),
+];
+
+const blockOptions = [
+  boolean,
+  object({
+    begin: string,
+    end: string,
+    position: oneOf(BLOCK_POSITIONS),
+  }),
+];
+
+const when = object({
+  exists: patterns,
+  absent: patterns,
+  language: [string, listOf(string)],
+  visibility: oneOf(['public', 'private', 'internal']),
+});
+
+const fragment = object(
+  {
+    source: string,
+    from: repoName,
+    template: [boolean, anyMap],
+    when,
+  },
+  { required: ['source'] }
+);
+
+// A file entry either syncs a `source`, composes its `dest` from `fragments`, or deletes its `dest` with `delete: true`
+const fileEntry = object(
+  {
+    source: string,
+    from: repoName,
+    fragments: listOf([string, fragment]),
+    separator: string,
+    dest: string,
+    template: [boolean, anyMap],
+    replace: boolean,
+    deleteOrphaned: boolean,
+    include: patterns,
+    exclude: patterns,
+    merge: mergeOptions,
+    block: blockOptions,
+    delete: boolean,
+    onManualEdit: oneOf(['overwrite', 'skip', 'warn']),
+    strategy: oneOf(STRATEGIES),
+    when,
+  },
+  {
+    check: (node, path) => {
+      if (node.get('delete') === true) {
+        return node.has('dest') ? [] : [error(node, `${path} uses "delete" and is missing the required key "dest"`)];
+      }
+
+      const errors = [];
+      if (node.has('merge') && ['skip', 'warn'].includes(node.get('onManualEdit'))) {
+        errors.push(error(node, `${path} can't use "onManualEdit: ${node.get('onManualEdit')}" with "merge"`));
+      }
+      if (node.has('fragments')) {
+        if (!node.has('dest'))
+          errors.push(error(node, `${path} uses "fragments" and is missing the required key "dest"`));
+        if (node.has('source') || node.has('from')) {
+          errors.push(error(node, `${path} can't use "fragments" together with "source" or "from"`));
+        }
+        if (node.get('strategy') === 'three-way') {
+          errors.push(error(node, `${path} can't use the "three-way" strategy with "fragments"`));
+        }
+      } else if (!node.has('source')) {
+        errors.push(error(node, `${path} is missing the required key "source"`));
+      }
+      if (node.has('from') && node.get('strategy') === 'three-way') {
+        errors.push(error(node, `${path} can't use the "three-way" strategy with files from another repository`));
+      }
+      if (node.has('merge') && ![undefined, false].includes(node.get('block'))) {
+        errors.push(error(node, `${path} can't use the "merge" and "block" options together`));
+      }
+      if (node.get('strategy') === 'three-way' && ['template', 'merge', 'block'].some((key) => node.get(key))) {
+        errors.push(error(node, `${path} can't use the "three-way" strategy with "template", "merge" or "block"`));
+      }
+
+      return errors;
+    },
+  }
+);
+
+const files = listOf([string, fileEntry]);
+
+// PR settings which can be set on a group or repo entry
+const prSettings = {
+  prLabels: [disabled, string, listOf(string)],
+  assignees: [string, listOf(string)],
+  reviewers: [string, listOf(string)],
+  teamReviewers: [string, listOf(string)],
+  // Like the AUTO_MERGE_MERGE_METHOD input, the merge method is case-insensitive
+  autoMergeMergeMethod: [disabled, oneOf(['merge', 'squash', 'rebase'], { ignoreCase: true })],
+  branchPrefix: string,
+};
+
+const variables = {
+  vars: anyMap,
+  templateData: string,
+};
+
+const repoEntry = object({ repo: repoName, ...variables, ...prSettings }, { required: ['repo'] });
+
+const selector = object(
+  {
+    org: string,
+    user: string,
+    topics: [string, listOf(string)],
+    name: patterns,
+    exclude: patterns,
+    archived: boolean,
+    visibility: oneOf(['public', 'private', 'internal']),
+    branch: string,
+    ...variables,
+    ...prSettings,
+  },
+  {
+    check: (node, path) =>
+      node.has('org') === node.has('user') ? [error(node, `${path} must have either an "org" or a "user" key`)] : [],
+  }
+);
+
+const multilineRepoNames = type('string', 'a list of repositories, one per line', (node, path) =>
+  node.value
+    .split('\n')
+    .map((name) => name.trim())
+    .filter((name) => name)
+    .flatMap((name) => repoName.check({ ...node, value: name }, path))
+);
+
+const group = object(
+  {
+    repos: [multilineRepoNames, selector, listOf([repoName, repoEntry, selector])],
+    files,
+    when,
+    ...variables,
+    ...prSettings,
+  },
+  { required: ['repos', 'files'] }
+);
+
+const config = type('map', 'a map of repositories and groups', (node) =>
+  node.items.flatMap((pair) => {
+    const key = pair.key?.value;
+
+    if (key === 'group') return validate([group, listOf(group)], pair.value, 'group');
+    if (key === 'extends' || key === 'include') return validate(patterns, pair.value, key);
+
+    return [...validate(repoName, pair.key, 'Key'), ...validate(files, pair.value, `${key}`)];
+  })
+);
+
+const isMergeKey = (key) => isScalar(key) && key.value === '<<';
+
+// Replaces the merge keys of a map with the keys they merge. Keys of the map itself take precedence over
+// merged ones, and earlier merged maps over later ones
+const expandMergeKeys = (map, doc) => {
+  const items = map.items.filter((pair) => !isMergeKey(pair.key));
+
+  for (const pair of map.items.filter((item) => isMergeKey(item.key))) {
+    const sources = isSeq(pair.value) ? pair.value.items : [pair.value];
+
+    for (const source of sources) {
+      const resolved = isAlias(source) ? source.resolve(doc) : source;
+      if (!isMap(resolved)) {
+        items.push(pair);
+        continue;
+      }
+
+      expandMergeKeys(resolved, doc);
+      for (const item of resolved.items) {
+        if (!items.some((existing) => existing.key?.value === item.key?.value)) items.push(item);
+      }
+    }
+  }
+
+  map.items = items;
+};
+
+// Aliases and merge keys are resolved like js-yaml does when loading the config, so the nodes they refer to
+// are validated like any other node
+const resolveAliases = (doc) => {
+  visit(doc, {
+    Alias: (_, node) => node.resolve(doc),
+    Map: (_, node) => expandMergeKeys(node, doc),
+  });
+};
+
+// Validates the content of a sync config file and returns all errors with their line and column
+const validateConfig = (content) => {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter });
+
+  if (doc.errors.length > 0) {
+    return doc.errors.map((err) => ({
+      line: err.linePos?.[0].line,
+      column: err.linePos?.[0].col,
+      message: err.message.split('\n')[0].replace(/:$/, ''),
+    }));
+  }
+
+  resolveAliases(doc);
+
+  return validate(config, doc.contents, 'Config').map(({ node, message }) => {
+    const position = lineCounter.linePos(node?.range?.[0] || 0);
+
+    return { line: position.line, column: position.col, message };
+  });
+};
+
+export { validateConfig };